@@ -2,15 +2,13 @@
  * @jest-environment jsdom
  */
 
-import { AudioStreamFormat } from 'microsoft-cognitiveservices-speech-sdk';
 import { join } from 'path';
 import { promisify } from 'util';
 import createDeferred from 'p-defer';
 import fs from 'fs';
 
-import { createSpeechRecognitionPonyfill } from '../src/SpeechServices';
+import { createPushAudioSource, createSpeechRecognitionPonyfill } from '../src/SpeechServices';
 import captureAllSpeechRecognitionEvents from '../utils/speechRecognition/captureAllSpeechRecognitionEvents';
-import createQueuedArrayBufferAudioSource from '../utils/speechRecognition/createQueuedArrayBufferAudioSource';
 import testTableForAuthentication from '../utils/testTableForAuthentication';
 
 const { CI, REGION } = process.env;
@@ -25,7 +23,7 @@ describe.each(testTableForAuthentication)(
   (_name, _useAuthorizationToken, mergeCredentials, fetchCredentials) => {
     jest.setTimeout(15000);
 
-    let audioConfig;
+    let audioSource;
     let waveArrayBuffer;
 
     beforeAll(async () => {
@@ -33,9 +31,11 @@ describe.each(testTableForAuthentication)(
     });
 
     beforeEach(async () => {
-      audioConfig = createQueuedArrayBufferAudioSource(
-        AudioStreamFormat.getWaveFormatPCM(SAMPLES_PER_SECOND, BITS_PER_SAMPLE, CHANNELS)
-      );
+      audioSource = createPushAudioSource({
+        bitsPerSample: BITS_PER_SAMPLE,
+        channels: CHANNELS,
+        samplesPerSecond: SAMPLES_PER_SECOND
+      });
     });
 
     test('to recognize', async () => {
@@ -51,13 +51,14 @@ describe.each(testTableForAuthentication)(
       };
 
       const { SpeechRecognition } = createSpeechRecognitionPonyfill({
-        audioConfig,
+        audioConfig: audioSource.audioConfig,
         credentials,
         speechRecognitionEndpointId: process.env.SPEECH_RECOGNITION_ENDPOINT_ID
       });
 
       // We cannot use "fetchSpeechData" because the quality of the synthesis using Custom Voice is too low to being recognized by itself.
-      audioConfig.push(waveArrayBuffer);
+      audioSource.push(waveArrayBuffer);
+      audioSource.end();
 
       const speechRecognition = new SpeechRecognition();
       const { promise, reject, resolve } = createDeferred();
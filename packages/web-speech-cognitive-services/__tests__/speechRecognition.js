@@ -2,12 +2,10 @@
  * @jest-environment jsdom
  */
 
-import { AudioStreamFormat } from 'microsoft-cognitiveservices-speech-sdk';
 import createDeferred from 'p-defer';
 
-import { createSpeechRecognitionPonyfill } from '../src/SpeechServices';
+import { createPushAudioSource, createSpeechRecognitionPonyfill } from '../src/SpeechServices';
 import captureAllSpeechRecognitionEvents from '../utils/speechRecognition/captureAllSpeechRecognitionEvents';
-import createQueuedArrayBufferAudioSource from '../utils/speechRecognition/createQueuedArrayBufferAudioSource';
 import fetchSpeechData from '../src/SpeechServices/TextToSpeech/fetchSpeechData';
 import testTableForAuthentication from '../utils/testTableForAuthentication';
 
@@ -22,12 +20,14 @@ describe.each(testTableForAuthentication)(
   (_name, _useAuthorizationToken, _mergeCredentials, fetchCredentials) => {
     jest.setTimeout(15000);
 
-    let audioConfig;
+    let audioSource;
 
     beforeEach(async () => {
-      audioConfig = createQueuedArrayBufferAudioSource(
-        AudioStreamFormat.getWaveFormatPCM(SAMPLES_PER_SECOND, BITS_PER_SAMPLE, CHANNELS)
-      );
+      audioSource = createPushAudioSource({
+        bitsPerSample: BITS_PER_SAMPLE,
+        channels: CHANNELS,
+        samplesPerSecond: SAMPLES_PER_SECOND
+      });
     });
 
     test('to recognize', async () => {
@@ -37,17 +37,18 @@ describe.each(testTableForAuthentication)(
 
       const credentials = await fetchCredentials();
       const { SpeechRecognition } = createSpeechRecognitionPonyfill({
-        audioConfig,
+        audioConfig: audioSource.audioConfig,
         credentials
       });
 
-      audioConfig.push(
+      audioSource.push(
         await fetchSpeechData({
           fetchCredentials: () => credentials,
           outputFormat: OUTPUT_FORMAT,
           text: 'Hello'
         })
       );
+      audioSource.end();
 
       const speechRecognition = new SpeechRecognition();
       const { promise, reject, resolve } = createDeferred();
@@ -1,7 +1,13 @@
 /* global process */
 
 import createSpeechRecognitionPonyfill, {
-  createSpeechRecognitionPonyfillFromRecognizer
+  createAdaptiveVoiceActivityDetector,
+  createConversationTranscriptionPonyfill,
+  createPatternMatchingInterpreter,
+  createPushAudioSource,
+  createSpeechRecognitionPonyfillFromRecognizer,
+  createSpeechTranslationPonyfill,
+  fetchAudioInputDevices
 } from './SpeechServices/SpeechToText';
 import createSpeechSynthesisPonyfill from './SpeechServices/TextToSpeech';
 import fetchAuthorizationToken from './SpeechServices/fetchAuthorizationToken';
@@ -14,9 +20,15 @@ export default function createSpeechServicesPonyfill(options = {}, ...args) {
 }
 
 export {
+  createAdaptiveVoiceActivityDetector,
+  createConversationTranscriptionPonyfill,
+  createPatternMatchingInterpreter,
+  createPushAudioSource,
   createSpeechRecognitionPonyfill,
   createSpeechRecognitionPonyfillFromRecognizer,
   createSpeechSynthesisPonyfill,
+  createSpeechTranslationPonyfill,
+  fetchAudioInputDevices,
   fetchAuthorizationToken
 };
 
@@ -2,16 +2,44 @@
 
 import {
   AudioConfig,
+  AudioInputStream,
+  AudioStreamFormat,
+  AutoDetectSourceLanguageConfig,
+  CancellationErrorCode,
+  ConversationTranscriber,
+  LanguageIdMode,
   OutputFormat,
+  PhraseListGrammar,
+  ProfanityOption,
+  PronunciationAssessmentConfig,
+  PronunciationAssessmentGradingSystem,
+  PronunciationAssessmentGranularity,
+  PropertyId,
   ResultReason,
   SpeechConfig,
-  SpeechRecognizer
+  SpeechRecognizer,
+  SpeechTranslationConfig,
+  TranslationRecognizer
 } from 'microsoft-cognitiveservices-speech-sdk/distrib/lib/microsoft.cognitiveservices.speech.sdk';
 
 export default {
   AudioConfig,
+  AudioInputStream,
+  AudioStreamFormat,
+  AutoDetectSourceLanguageConfig,
+  CancellationErrorCode,
+  ConversationTranscriber,
+  LanguageIdMode,
   OutputFormat,
+  PhraseListGrammar,
+  ProfanityOption,
+  PronunciationAssessmentConfig,
+  PronunciationAssessmentGradingSystem,
+  PronunciationAssessmentGranularity,
+  PropertyId,
   ResultReason,
   SpeechConfig,
-  SpeechRecognizer
+  SpeechRecognizer,
+  SpeechTranslationConfig,
+  TranslationRecognizer
 };
@@ -1,7 +1,21 @@
+import createAdaptiveVoiceActivityDetector from './SpeechToText/createAdaptiveVoiceActivityDetector';
+import createConversationTranscriptionPonyfill from './SpeechToText/createConversationTranscriptionPonyfill';
+import createPatternMatchingInterpreter from './SpeechToText/createPatternMatchingInterpreter';
+import createPushAudioSource from './SpeechToText/createPushAudioSource';
 import createSpeechRecognitionPonyfill, {
   createSpeechRecognitionPonyfillFromRecognizer
 } from './SpeechToText/createSpeechRecognitionPonyfill';
+import createSpeechTranslationPonyfill from './SpeechToText/createSpeechTranslationPonyfill';
+import fetchAudioInputDevices from './SpeechToText/fetchAudioInputDevices';
 
 export default createSpeechRecognitionPonyfill;
 
-export { createSpeechRecognitionPonyfillFromRecognizer };
+export {
+  createAdaptiveVoiceActivityDetector,
+  createConversationTranscriptionPonyfill,
+  createPatternMatchingInterpreter,
+  createPushAudioSource,
+  createSpeechRecognitionPonyfillFromRecognizer,
+  createSpeechTranslationPonyfill,
+  fetchAudioInputDevices
+};
@@ -0,0 +1,24 @@
+export default class {
+  // "notify" is called when the grammar is changed, so phrases can be applied to a live recognizer.
+  constructor({ notify, phrases, src, weight = 1 }) {
+    this._notify = notify;
+    this._phrases = phrases;
+    this._src = src;
+    this._weight = weight;
+  }
+
+  get src() {
+    return this._src;
+  }
+
+  get weight() {
+    return this._weight;
+  }
+
+  set weight(value) {
+    if (value !== this._weight) {
+      this._weight = value;
+      this._notify && this._notify();
+    }
+  }
+}
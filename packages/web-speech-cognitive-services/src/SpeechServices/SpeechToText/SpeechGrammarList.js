@@ -1,12 +1,69 @@
-/* eslint class-methods-use-this: "off" */
+import parseJSGF from './parseJSGF';
+import SpeechGrammar from './SpeechGrammar';
+
+const DEFAULT_MAX_EXPANSIONS = 1000;
 
 export default class {
   constructor() {
+    this._grammars = [];
+    this._listeners = [];
+    this._maxExpansions = DEFAULT_MAX_EXPANSIONS;
     this._phrases = [];
   }
 
-  addFromString() {
-    throw new Error('JSGF is not supported');
+  addFromString(string, weight = 1) {
+    // Parse synchronously, so syntax errors will surface to the caller.
+    const phrases = parseJSGF(string, { maxExpansions: this.maxExpansions });
+
+    this._grammars.push(
+      new SpeechGrammar({
+        notify: () => this._notify(),
+        phrases: Promise.resolve(phrases),
+        src: `data:application/x-jsgf,${encodeURIComponent(string)}`,
+        weight
+      })
+    );
+
+    this._notify();
+  }
+
+  addFromURI(src, weight = 1) {
+    const phrases = (async () => {
+      const res = await fetch(src);
+
+      if (!res.ok) {
+        throw new Error(`Failed to fetch grammar from "${src}", server returned ${res.status}`);
+      }
+
+      return parseJSGF(await res.text(), { maxExpansions: this.maxExpansions });
+    })();
+
+    // Errors will be surfaced when recognition start, we should not emit "unhandled rejection" until then.
+    phrases.catch(() => {});
+
+    this._grammars.push(new SpeechGrammar({ notify: () => this._notify(), phrases, src, weight }));
+
+    this._notify();
+  }
+
+  item(index) {
+    return this._grammars[index] || null;
+  }
+
+  get length() {
+    return this._grammars.length;
+  }
+
+  [Symbol.iterator]() {
+    return this._grammars[Symbol.iterator]();
+  }
+
+  get maxExpansions() {
+    return this._maxExpansions;
+  }
+
+  set maxExpansions(value) {
+    this._maxExpansions = value;
   }
 
   get phrases() {
@@ -21,5 +78,40 @@ export default class {
     } else {
       throw new Error(`The provided value is not an array or of type 'string'`);
     }
+
+    this._notify();
+  }
+
+  _notify() {
+    this._listeners.forEach(listener => listener());
+  }
+
+  // Recognition sessions subscribe to changes, so phrases can be applied to a live recognizer.
+  // Returns a function to unsubscribe.
+  _subscribe(listener) {
+    this._listeners.push(listener);
+
+    return () => {
+      const index = this._listeners.indexOf(listener);
+
+      ~index && this._listeners.splice(index, 1);
+    };
+  }
+
+  // Speech Services does not support weighted phrases. Phrases from grammars of higher weight are sent first.
+  async _resolvePhrases() {
+    const grammars = await Promise.all(
+      this._grammars.map(async grammar => ({ phrases: await grammar._phrases, weight: grammar.weight }))
+    );
+
+    return [
+      ...new Set([
+        ...this.phrases,
+        ...grammars
+          .filter(({ weight }) => weight > 0)
+          .sort((x, y) => y.weight - x.weight)
+          .flatMap(({ phrases }) => phrases)
+      ])
+    ];
   }
 }
@@ -0,0 +1,104 @@
+import SpeechGrammarList from './SpeechGrammarList';
+
+let originalFetch;
+
+beforeEach(() => {
+  originalFetch = global.fetch;
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+test('addFromString should add grammar', async () => {
+  const grammarList = new SpeechGrammarList();
+
+  grammarList.addFromString('#JSGF V1.0; public <answer> = yes | no;', 0.5);
+
+  expect(grammarList).toHaveProperty('length', 1);
+  expect(grammarList.item(0)).toHaveProperty('weight', 0.5);
+  expect(grammarList.item(0).src).toMatch(/^data:/u);
+  expect(grammarList.item(1)).toBeNull();
+
+  await expect(grammarList._resolvePhrases()).resolves.toEqual(['yes', 'no']);
+});
+
+test('addFromString should throw on invalid grammar', () => {
+  const grammarList = new SpeechGrammarList();
+
+  expect(() => grammarList.addFromString('#JSGF V1.0; public <answer> = (yes;')).toThrow();
+  expect(grammarList).toHaveProperty('length', 0);
+});
+
+test('addFromURI should fetch grammar', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    text: async () => '#JSGF V1.0; public <answer> = yes | no;'
+  }));
+
+  const grammarList = new SpeechGrammarList();
+
+  grammarList.addFromURI('https://example.com/answer.jsgf');
+
+  expect(grammarList.item(0)).toHaveProperty('src', 'https://example.com/answer.jsgf');
+  expect(grammarList.item(0)).toHaveProperty('weight', 1);
+
+  await expect(grammarList._resolvePhrases()).resolves.toEqual(['yes', 'no']);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch).toHaveBeenCalledWith('https://example.com/answer.jsgf');
+});
+
+test('addFromURI should reject on server error', async () => {
+  global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+
+  const grammarList = new SpeechGrammarList();
+
+  grammarList.addFromURI('https://example.com/answer.jsgf');
+
+  await expect(grammarList._resolvePhrases()).rejects.toThrow('server returned 404');
+});
+
+test('phrases should be ordered by weight', async () => {
+  const grammarList = new SpeechGrammarList();
+
+  grammarList.phrases = ['Bellevue'];
+  grammarList.addFromString('#JSGF V1.0; public <low> = Tuen Mun | Bellevue;', 0.1);
+  grammarList.addFromString('#JSGF V1.0; public <high> = Yuen Long;', 0.9);
+  grammarList.addFromString('#JSGF V1.0; public <none> = Sha Tin;', 0);
+
+  expect(Array.from(grammarList, ({ weight }) => weight)).toEqual([0.1, 0.9, 0]);
+
+  await expect(grammarList._resolvePhrases()).resolves.toEqual(['Bellevue', 'Yuen Long', 'Tuen Mun']);
+});
+
+test('maxExpansions should cap phrases', async () => {
+  const grammarList = new SpeechGrammarList();
+
+  grammarList.maxExpansions = 2;
+  grammarList.addFromString('#JSGF V1.0; public <digits> = one | two | three;');
+
+  await expect(grammarList._resolvePhrases()).resolves.toEqual(['one', 'two']);
+});
+
+test('subscribers should be notified on changes until unsubscribed', () => {
+  const grammarList = new SpeechGrammarList();
+  const listener = jest.fn();
+  const unsubscribe = grammarList._subscribe(listener);
+
+  grammarList.phrases = ['Bellevue'];
+  grammarList.addFromString('#JSGF V1.0; public <city> = Tuen Mun;');
+  grammarList.item(0).weight = 0.5;
+
+  expect(listener).toHaveBeenCalledTimes(3);
+
+  // Setting the same weight is not a change.
+  grammarList.item(0).weight = 0.5;
+
+  expect(listener).toHaveBeenCalledTimes(3);
+
+  unsubscribe();
+  grammarList.phrases = [];
+
+  expect(listener).toHaveBeenCalledTimes(3);
+});
@@ -0,0 +1,9 @@
+export default class {
+  constructor({ confidence, transcript, ...extras }) {
+    // Besides "confidence" and "transcript", properties from Speech Services, such as "display" and "words", are kept as-is.
+    Object.assign(this, extras);
+
+    this.confidence = confidence;
+    this.transcript = transcript;
+  }
+}
@@ -0,0 +1,21 @@
+export default class {
+  constructor(alternatives, { isFinal = false, ...extras } = {}) {
+    // Properties not in the spec, such as "duration" and "translations", are kept on the result.
+    Object.assign(this, extras);
+
+    alternatives.forEach((alternative, index) => {
+      this[index] = alternative;
+    });
+
+    this.isFinal = isFinal;
+    this.length = alternatives.length;
+  }
+
+  item(index) {
+    return this[index] || null;
+  }
+
+  [Symbol.iterator]() {
+    return [].slice.call(this)[Symbol.iterator]();
+  }
+}
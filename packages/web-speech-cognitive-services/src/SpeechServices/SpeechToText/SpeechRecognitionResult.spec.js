@@ -0,0 +1,32 @@
+import SpeechRecognitionAlternative from './SpeechRecognitionAlternative';
+import SpeechRecognitionResult from './SpeechRecognitionResult';
+
+test('should expose alternatives by index, item(), and iteration', () => {
+  const alternatives = [
+    new SpeechRecognitionAlternative({ confidence: 0.9, transcript: 'Hello.' }),
+    new SpeechRecognitionAlternative({ confidence: 0.1, transcript: 'Hollow.' })
+  ];
+  const result = new SpeechRecognitionResult(alternatives, { isFinal: true, language: 'en-US' });
+
+  expect(result).toHaveLength(2);
+  expect(result).toHaveProperty('isFinal', true);
+  expect(result).toHaveProperty('language', 'en-US');
+  expect(result[0]).toBe(alternatives[0]);
+  expect(result.item(1)).toBe(alternatives[1]);
+  expect(result.item(2)).toBeNull();
+  expect([...result]).toEqual(alternatives);
+});
+
+test('should not be final by default', () => {
+  const result = new SpeechRecognitionResult([
+    new SpeechRecognitionAlternative({ confidence: 0.5, transcript: 'hello' })
+  ]);
+
+  expect(result).toHaveProperty('isFinal', false);
+});
+
+test('should keep extra properties on alternative', () => {
+  const alternative = new SpeechRecognitionAlternative({ confidence: 0.9, itn: 'hello (ITN)', transcript: 'Hello.' });
+
+  expect(alternative).toEqual({ confidence: 0.9, itn: 'hello (ITN)', transcript: 'Hello.' });
+});
@@ -0,0 +1,17 @@
+export default class {
+  constructor(results) {
+    results.forEach((result, index) => {
+      this[index] = result;
+    });
+
+    this.length = results.length;
+  }
+
+  item(index) {
+    return this[index] || null;
+  }
+
+  [Symbol.iterator]() {
+    return [].slice.call(this)[Symbol.iterator]();
+  }
+}
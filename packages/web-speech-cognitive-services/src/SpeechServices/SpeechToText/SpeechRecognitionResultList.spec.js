@@ -0,0 +1,13 @@
+import SpeechRecognitionResult from './SpeechRecognitionResult';
+import SpeechRecognitionResultList from './SpeechRecognitionResultList';
+
+test('should expose results by index, item(), and iteration', () => {
+  const results = [new SpeechRecognitionResult([], { isFinal: true }), new SpeechRecognitionResult([])];
+  const resultList = new SpeechRecognitionResultList(results);
+
+  expect(resultList).toHaveLength(2);
+  expect(resultList[1]).toBe(results[1]);
+  expect(resultList.item(0)).toBe(results[0]);
+  expect(resultList.item(2)).toBeNull();
+  expect(Array.from(resultList)).toEqual(results);
+});
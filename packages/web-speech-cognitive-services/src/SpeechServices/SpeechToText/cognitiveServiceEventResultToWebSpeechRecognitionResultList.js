@@ -1,44 +1,149 @@
-import arrayToMap from '../../Util/arrayToMap';
+import SpeechRecognitionAlternative from './SpeechRecognitionAlternative';
+import SpeechRecognitionResult from './SpeechRecognitionResult';
 import SpeechSDK from '../SpeechSDK';
 
 const {
-  ResultReason: { RecognizingSpeech, RecognizedSpeech }
+  ResultReason: { RecognizingSpeech, RecognizedSpeech, TranslatedSpeech, TranslatingSpeech }
 } = SpeechSDK;
 
-export default function (result, { maxAlternatives = Infinity, textNormalization = 'display' } = {}) {
-  if (result.reason === RecognizingSpeech || (result.reason === RecognizedSpeech && !result.json.NBest)) {
-    const resultList = [
+// Scores are only available when "pronunciationAssessment" is set. Scores not applicable to the granularity are omitted.
+function toPronunciationAssessment({
+  AccuracyScore: accuracyScore,
+  CompletenessScore: completenessScore,
+  ErrorType: errorType,
+  FluencyScore: fluencyScore,
+  PronScore: pronunciationScore,
+  ProsodyScore: prosodyScore
+}) {
+  return {
+    ...(typeof accuracyScore === 'number' ? { accuracyScore } : {}),
+    ...(typeof completenessScore === 'number' ? { completenessScore } : {}),
+    ...(errorType ? { errorType } : {}),
+    ...(typeof fluencyScore === 'number' ? { fluencyScore } : {}),
+    ...(typeof pronunciationScore === 'number' ? { pronunciationScore } : {}),
+    ...(typeof prosodyScore === 'number' ? { prosodyScore } : {})
+  };
+}
+
+export default function (
+  result,
+  { estimateStability, maxAlternatives = Infinity, textNormalization = 'display', wordLevelTimestamps = false } = {}
+) {
+  const extras = {
+    // Offset and duration are in ticks of 100 nanoseconds, as returned by Speech Services.
+    ...(wordLevelTimestamps ? { duration: result.duration, offset: result.offset } : {}),
+
+    // Language is only detected when "candidateLanguages" is set.
+    ...(result.language ? { language: result.language } : {}),
+
+    // Speaker ID is only available from ConversationTranscriber.
+    ...(result.speakerId ? { speakerId: result.speakerId } : {}),
+
+    // Translations are only available from TranslationRecognizer.
+    ...(result.translations ? { translations: result.translations } : {})
+  };
+  const isFinal = result.reason === RecognizedSpeech || result.reason === TranslatedSpeech;
+  const isInterim = result.reason === RecognizingSpeech || result.reason === TranslatingSpeech;
+  const { NBest } = result.json || {};
+
+  if ((isFinal || isInterim) && !NBest) {
+    // Hypotheses and results in simple format only come with text in display form and without confidence.
+    // Confidence of hypotheses is estimated from how consistent successive hypotheses are, if an estimator is provided.
+    const estimated = isInterim && estimateStability && estimateStability(result.text);
+
+    return new SpeechRecognitionResult(
+      [
+        new SpeechRecognitionAlternative({
+          confidence: estimated ? estimated.confidence : 0.5,
+          confidenceSource: estimated ? 'stability' : 'default',
+          display: result.text,
+          transcript: result.text,
+          // Words are in the same shape as words of final results, but hypotheses in simple format come without timing.
+          ...(estimated
+            ? {
+                words: estimated.words.map(({ confidence, text }) => ({
+                  confidence,
+                  duration: undefined,
+                  offset: undefined,
+                  text
+                }))
+              }
+            : {})
+        })
+      ],
+      { ...extras, isFinal }
+    );
+  } else if (isFinal || isInterim) {
+    // Hypotheses may also come in detailed format with confidence, which is preferred over estimation.
+    const [{ PronunciationAssessment: pronunciationAssessment } = {}] = NBest;
+
+    return new SpeechRecognitionResult(
+      NBest.slice(0, maxAlternatives).map(
+        ({ Confidence: confidence, Display: display, ITN: itn, Lexical: lexical, MaskedITN: maskedITN, Words }) =>
+          new SpeechRecognitionAlternative({
+            confidence,
+            confidenceSource: 'service',
+
+            // All forms are kept, so the same utterance can be shown in display form and sent to NLU in ITN form.
+            display,
+            itn,
+            lexical,
+            maskedITN,
+
+            // Transcript follows "textNormalization" for compatibility.
+            transcript:
+              textNormalization === 'itn'
+                ? itn
+                : textNormalization === 'lexical'
+                  ? lexical
+                  : textNormalization === 'maskeditn'
+                    ? maskedITN
+                    : display,
+            ...(wordLevelTimestamps || pronunciationAssessment
+              ? {
+                  words: (Words || []).map(
+                    ({
+                      Confidence: confidence,
+                      Duration: duration,
+                      Offset: offset,
+                      Phonemes,
+                      PronunciationAssessment,
+                      Word: text
+                    }) => ({
+                      confidence,
+                      duration,
+                      offset,
+                      text,
+                      ...(PronunciationAssessment
+                        ? { pronunciationAssessment: toPronunciationAssessment(PronunciationAssessment) }
+                        : {}),
+                      ...(Phonemes
+                        ? {
+                            phonemes: Phonemes.map(
+                              ({ Duration: duration, Offset: offset, Phoneme: phoneme, PronunciationAssessment }) => ({
+                                duration,
+                                offset,
+                                phoneme,
+                                pronunciationAssessment: toPronunciationAssessment(PronunciationAssessment || {})
+                              })
+                            )
+                          }
+                        : {})
+                    })
+                  )
+                }
+              : {})
+          })
+      ),
       {
-        confidence: 0.5,
-        transcript: result.text
+        ...extras,
+        isFinal,
+        ...(pronunciationAssessment
+          ? { pronunciationAssessment: toPronunciationAssessment(pronunciationAssessment) }
+          : {})
       }
-    ];
-
-    if (result.reason === RecognizedSpeech) {
-      resultList.isFinal = true;
-    }
-
-    return resultList;
-  } else if (result.reason === RecognizedSpeech) {
-    const resultList = arrayToMap(
-      (result.json.NBest || [])
-        .slice(0, maxAlternatives)
-        .map(({ Confidence: confidence, Display: display, ITN: itn, Lexical: lexical, MaskedITN: maskedITN }) => ({
-          confidence,
-          transcript:
-            textNormalization === 'itn'
-              ? itn
-              : textNormalization === 'lexical'
-                ? lexical
-                : textNormalization === 'maskeditn'
-                  ? maskedITN
-                  : display
-        })),
-      { isFinal: true }
     );
-
-    return resultList;
   }
 
-  return [];
+  return new SpeechRecognitionResult([]);
 }
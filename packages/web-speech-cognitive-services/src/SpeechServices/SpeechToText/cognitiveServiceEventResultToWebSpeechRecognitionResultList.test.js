@@ -28,8 +28,24 @@ test('Multiple results with RecognitionStatus === "Success"', () => {
     reason: 3
   });
 
-  expect(resultList[0]).toEqual({ confidence: 0.25, transcript: 'No.' });
-  expect(resultList[1]).toEqual({ confidence: 0.1, transcript: 'Yes.' });
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'No.'
+  });
+  expect(resultList[1]).toEqual({
+    confidence: 0.1,
+    confidenceSource: 'service',
+    display: 'Yes.',
+    itn: 'yes (ITN)',
+    lexical: 'yes (Lexical)',
+    maskedITN: 'yes (MaskedITN)',
+    transcript: 'Yes.'
+  });
   expect(resultList).toHaveProperty('isFinal', true);
 });
 
@@ -39,8 +55,8 @@ test('Single interim results', () => {
     text: 'No.'
   });
 
-  expect(resultList[0]).toEqual({ confidence: 0.5, transcript: 'No.' });
-  expect(resultList).not.toHaveProperty('isFinal');
+  expect(resultList[0]).toEqual({ confidence: 0.5, confidenceSource: 'default', display: 'No.', transcript: 'No.' });
+  expect(resultList).toHaveProperty('isFinal', false);
 });
 
 test('Single final results', () => {
@@ -59,7 +75,15 @@ test('Single final results', () => {
     reason: 3
   });
 
-  expect(resultList[0]).toEqual({ confidence: 0.25, transcript: 'No.' });
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'No.'
+  });
   expect(resultList).toHaveProperty('isFinal', true);
 });
 
@@ -84,7 +108,15 @@ test('Single final results with ITN', () => {
     }
   );
 
-  expect(resultList[0]).toEqual({ confidence: 0.25, transcript: 'no (ITN)' });
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'no (ITN)'
+  });
   expect(resultList).toHaveProperty('isFinal', true);
 });
 
@@ -109,7 +141,15 @@ test('Single final results with lexical', () => {
     }
   );
 
-  expect(resultList[0]).toEqual({ confidence: 0.25, transcript: 'no (Lexical)' });
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'no (Lexical)'
+  });
   expect(resultList).toHaveProperty('isFinal', true);
 });
 
@@ -134,7 +174,15 @@ test('Single final results with masked ITN', () => {
     }
   );
 
-  expect(resultList[0]).toEqual({ confidence: 0.25, transcript: 'no (MaskedITN)' });
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'no (MaskedITN)'
+  });
   expect(resultList).toHaveProperty('isFinal', true);
 });
 
@@ -160,6 +208,181 @@ test('Result is iterable', () => {
   const [firstAlternative] = resultList;
   const { isFinal } = resultList;
 
-  expect(firstAlternative).toEqual({ confidence: 0.25, transcript: 'No.' });
+  expect(firstAlternative).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'No.'
+  });
   expect(isFinal).toBe(true);
 });
+
+test('Single final results with word level timestamps', () => {
+  const resultList = cognitiveServiceEventResultToWebSpeechRecognitionResultList(
+    {
+      duration: 4000000,
+      json: {
+        NBest: [
+          {
+            Confidence: 0.25,
+            Display: 'No.',
+            ITN: 'no (ITN)',
+            Lexical: 'no (Lexical)',
+            MaskedITN: 'no (MaskedITN)',
+            Words: [{ Confidence: 0.25, Duration: 4000000, Offset: 1000000, Word: 'no' }]
+          }
+        ]
+      },
+      offset: 1000000,
+      reason: 3
+    },
+    { wordLevelTimestamps: true }
+  );
+
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'No.',
+    words: [{ confidence: 0.25, duration: 4000000, offset: 1000000, text: 'no' }]
+  });
+  expect(resultList).toHaveProperty('duration', 4000000);
+  expect(resultList).toHaveProperty('isFinal', true);
+  expect(resultList).toHaveProperty('offset', 1000000);
+});
+
+test('Single interim results with word level timestamps', () => {
+  const resultList = cognitiveServiceEventResultToWebSpeechRecognitionResultList(
+    {
+      duration: 4000000,
+      offset: 1000000,
+      reason: 2,
+      text: 'No.'
+    },
+    { wordLevelTimestamps: true }
+  );
+
+  expect(resultList[0]).toEqual({ confidence: 0.5, confidenceSource: 'default', display: 'No.', transcript: 'No.' });
+  expect(resultList).toHaveProperty('duration', 4000000);
+  expect(resultList).toHaveProperty('offset', 1000000);
+  expect(resultList).toHaveProperty('isFinal', false);
+});
+
+test('Single final results with pronunciation assessment', () => {
+  const resultList = cognitiveServiceEventResultToWebSpeechRecognitionResultList({
+    json: {
+      NBest: [
+        {
+          Confidence: 0.25,
+          Display: 'No.',
+          ITN: 'no (ITN)',
+          Lexical: 'no (Lexical)',
+          MaskedITN: 'no (MaskedITN)',
+          PronunciationAssessment: {
+            AccuracyScore: 90,
+            CompletenessScore: 100,
+            FluencyScore: 80,
+            PronScore: 85.5,
+            ProsodyScore: 70
+          },
+          Words: [
+            {
+              Duration: 4000000,
+              Offset: 1000000,
+              Phonemes: [
+                { Duration: 2000000, Offset: 1000000, Phoneme: 'n', PronunciationAssessment: { AccuracyScore: 100 } },
+                { Duration: 2000000, Offset: 3000000, Phoneme: 'ow', PronunciationAssessment: { AccuracyScore: 80 } }
+              ],
+              PronunciationAssessment: { AccuracyScore: 90, ErrorType: 'None' },
+              Word: 'no'
+            }
+          ]
+        }
+      ]
+    },
+    reason: 3
+  });
+
+  expect(resultList).toHaveProperty('pronunciationAssessment', {
+    accuracyScore: 90,
+    completenessScore: 100,
+    fluencyScore: 80,
+    pronunciationScore: 85.5,
+    prosodyScore: 70
+  });
+  expect(resultList[0]).toEqual({
+    confidence: 0.25,
+    confidenceSource: 'service',
+    display: 'No.',
+    itn: 'no (ITN)',
+    lexical: 'no (Lexical)',
+    maskedITN: 'no (MaskedITN)',
+    transcript: 'No.',
+    words: [
+      {
+        confidence: undefined,
+        duration: 4000000,
+        offset: 1000000,
+        phonemes: [
+          { duration: 2000000, offset: 1000000, phoneme: 'n', pronunciationAssessment: { accuracyScore: 100 } },
+          { duration: 2000000, offset: 3000000, phoneme: 'ow', pronunciationAssessment: { accuracyScore: 80 } }
+        ],
+        pronunciationAssessment: { accuracyScore: 90, errorType: 'None' },
+        text: 'no'
+      }
+    ]
+  });
+});
+
+test('Interim results with stability estimation', () => {
+  const estimateStability = jest.fn(() => ({ confidence: 0.6, words: [{ confidence: 0.6, text: 'no' }] }));
+  const resultList = cognitiveServiceEventResultToWebSpeechRecognitionResultList(
+    { reason: 2, text: 'no' },
+    { estimateStability }
+  );
+
+  expect(estimateStability).toHaveBeenCalledWith('no');
+  expect(resultList[0]).toEqual({
+    confidence: 0.6,
+    confidenceSource: 'stability',
+    display: 'no',
+    transcript: 'no',
+    words: [{ confidence: 0.6, text: 'no' }]
+  });
+
+  // Words should be in the same shape as words of final results.
+  expect(Object.keys(resultList[0].words[0]).sort()).toEqual(['confidence', 'duration', 'offset', 'text']);
+});
+
+test('Interim results in detailed format should use confidence from service', () => {
+  const estimateStability = jest.fn();
+  const resultList = cognitiveServiceEventResultToWebSpeechRecognitionResultList(
+    {
+      json: {
+        NBest: [
+          {
+            Confidence: 0.8,
+            Display: 'no',
+            ITN: 'no (ITN)',
+            Lexical: 'no (Lexical)',
+            MaskedITN: 'no (MaskedITN)'
+          }
+        ]
+      },
+      reason: 2,
+      text: 'no'
+    },
+    { estimateStability }
+  );
+
+  expect(estimateStability).not.toHaveBeenCalled();
+  expect(resultList[0]).toHaveProperty('confidence', 0.8);
+  expect(resultList[0]).toHaveProperty('confidenceSource', 'service');
+  expect(resultList).toHaveProperty('isFinal', false);
+});
@@ -0,0 +1,75 @@
+// Detects sound by comparing the loudness of every audio chunk against an estimated noise floor.
+// The noise floor drops immediately to the quietest level observed, and rises slowly when the background gets louder.
+// It only rises while there is no sound, otherwise sustained speech would be taken as background noise.
+// As noise may be present from the very start, the floor is calibrated to the quietest level of the first second.
+// With hysteresis and hangover time, short pauses between words will not be reported as the end of sound.
+
+const DEFAULT_CALIBRATION_TIME = 1000;
+const DEFAULT_HANGOVER_TIME = 500;
+const DEFAULT_MINIMUM_NOISE_FLOOR = 10;
+const DEFAULT_NOISE_FLOOR_ADAPTATION_TIME = 3000;
+const DEFAULT_SAMPLE_RATE = 16000;
+const DEFAULT_SOUND_END_RATIO = 2;
+const DEFAULT_SOUND_START_RATIO = 3;
+
+function averageAmplitude(samples) {
+  return (
+    [].reduce.call(samples, (averageAmplitude, amplitude) => averageAmplitude + Math.abs(amplitude), 0) / samples.length
+  );
+}
+
+export default function createAdaptiveVoiceActivityDetector({
+  calibrationTime = DEFAULT_CALIBRATION_TIME,
+  hangoverTime = DEFAULT_HANGOVER_TIME,
+  minimumNoiseFloor = DEFAULT_MINIMUM_NOISE_FLOOR,
+  noiseFloorAdaptationTime = DEFAULT_NOISE_FLOOR_ADAPTATION_TIME,
+  sampleRate = DEFAULT_SAMPLE_RATE,
+  soundEndRatio = DEFAULT_SOUND_END_RATIO,
+  soundStartRatio = DEFAULT_SOUND_START_RATIO
+} = {}) {
+  let active = false;
+  let calibrationMinimum = Infinity;
+  let elapsed = 0;
+  let noiseFloor = minimumNoiseFloor;
+  let silenceDuration = 0;
+
+  return {
+    // Processes a chunk of 16-bit mono samples and returns true if sound is present.
+    process(samples) {
+      if (!samples.length) {
+        return active;
+      }
+
+      const amplitude = averageAmplitude(samples);
+      const duration = (samples.length / sampleRate) * 1000;
+
+      if (!active) {
+        active = amplitude > noiseFloor * soundStartRatio;
+        silenceDuration = 0;
+      } else if (amplitude > noiseFloor * soundEndRatio) {
+        silenceDuration = 0;
+      } else {
+        silenceDuration += duration;
+        active = silenceDuration < hangoverTime;
+      }
+
+      if (amplitude < noiseFloor) {
+        noiseFloor = Math.max(amplitude, minimumNoiseFloor);
+      } else if (!active) {
+        noiseFloor += (amplitude - noiseFloor) * (1 - Math.exp(-duration / noiseFloorAdaptationTime));
+      }
+
+      if (elapsed < calibrationTime) {
+        calibrationMinimum = Math.min(calibrationMinimum, amplitude);
+        elapsed += duration;
+
+        // Sound detected during calibration could be noise, the floor is set even while sound is present.
+        if (elapsed >= calibrationTime) {
+          noiseFloor = Math.max(calibrationMinimum, minimumNoiseFloor);
+        }
+      }
+
+      return active;
+    }
+  };
+}
@@ -0,0 +1,88 @@
+import createAdaptiveVoiceActivityDetector from './createAdaptiveVoiceActivityDetector';
+
+// 100 ms of 16 kHz samples at a constant amplitude.
+function createChunk(amplitude) {
+  return new Int16Array(1600).fill(amplitude);
+}
+
+function processAll(voiceActivityDetector, amplitudes) {
+  return amplitudes.map(amplitude => voiceActivityDetector.process(createChunk(amplitude)));
+}
+
+describe('createAdaptiveVoiceActivityDetector', () => {
+  test('should detect sound from a quiet microphone', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector();
+
+    expect(processAll(voiceActivityDetector, [5, 5, 60])).toEqual([false, false, true]);
+  });
+
+  test('should keep sound through short pauses within hangover time', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector({ hangoverTime: 300 });
+
+    expect(processAll(voiceActivityDetector, [5, 1000, 5, 5, 1000, 5, 5, 5])).toEqual([
+      false,
+      true,
+      true,
+      true,
+      true,
+      true,
+      true,
+      false
+    ]);
+  });
+
+  test('should adapt to a noisy room', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector({ hangoverTime: 0 });
+    const results = processAll(voiceActivityDetector, new Array(100).fill(300));
+
+    expect(results[results.length - 1]).toBe(false);
+
+    // Talking over the background noise should be detected.
+    expect(voiceActivityDetector.process(createChunk(3000))).toBe(true);
+  });
+
+  test('should end sound from constant noise after calibration', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector();
+    const results = processAll(voiceActivityDetector, new Array(300).fill(200));
+
+    // Noise is detected as sound until calibration (1 second) and hangover time (0.5 seconds) passed.
+    expect(results.indexOf(false)).toBe(14);
+    expect(results.slice(14).every(result => !result)).toBe(true);
+  });
+
+  test('should adapt to rising background noise', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector({ hangoverTime: 0 });
+
+    // Background noise gradually rises from 10 to about 300.
+    const results = processAll(
+      voiceActivityDetector,
+      new Array(172).fill().map((_, index) => Math.round(10 * 1.02 ** index))
+    );
+
+    expect(results.every(result => !result)).toBe(true);
+
+    // Talking over the background noise should be detected.
+    expect(voiceActivityDetector.process(createChunk(3000))).toBe(true);
+  });
+
+  test('should keep sound during sustained speech', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector({ hangoverTime: 0 });
+
+    expect(processAll(voiceActivityDetector, [5, ...new Array(100).fill(1000)])).toEqual([
+      false,
+      ...new Array(100).fill(true)
+    ]);
+  });
+
+  test('should honor configured thresholds', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector({ minimumNoiseFloor: 100, soundStartRatio: 5 });
+
+    expect(processAll(voiceActivityDetector, [400, 600])).toEqual([false, true]);
+  });
+
+  test('should ignore empty chunk', () => {
+    const voiceActivityDetector = createAdaptiveVoiceActivityDetector();
+
+    expect(voiceActivityDetector.process(new Int16Array(0))).toBe(false);
+  });
+});
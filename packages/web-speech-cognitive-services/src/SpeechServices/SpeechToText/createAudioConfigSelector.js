@@ -0,0 +1,40 @@
+import SpeechSDK from '../SpeechSDK';
+
+const { AudioConfig } = SpeechSDK;
+
+function createMediaStreamAudioConfig(mediaStream) {
+  // Speech SDK only accepts MediaStream, a single MediaStreamTrack is wrapped into its own MediaStream.
+  const stream = typeof mediaStream.getTracks === 'function' ? mediaStream : new MediaStream([mediaStream]);
+
+  // Speech SDK will fallback to the default microphone if the MediaStream is inactive, we should not record from an unexpected source.
+  if (!stream.active) {
+    throw new Error('web-speech-cognitive-services: The MediaStream or MediaStreamTrack has ended.');
+  }
+
+  // Speech SDK will resample the audio into the format the service expects.
+  return AudioConfig.fromStreamInput(stream);
+}
+
+function createMicrophoneAudioConfig(deviceId) {
+  return deviceId ? AudioConfig.fromMicrophoneInput(deviceId) : AudioConfig.fromDefaultMicrophoneInput();
+}
+
+// Returns a function to select AudioConfig for the audio source of every recognition session.
+// In order of precedence: AudioConfig of the session, "mediaStream", then "audioConfig" option, then microphone of "deviceId".
+export default function createAudioConfigSelector({ audioConfig, deviceId: defaultDeviceId }) {
+  // AudioConfig of the default device is reused across sessions.
+  const defaultAudioConfig =
+    typeof audioConfig === 'undefined' ? createMicrophoneAudioConfig(defaultDeviceId) : audioConfig;
+
+  return ({ audioConfig: sessionAudioConfig, deviceId, mediaStream }) => {
+    if (sessionAudioConfig) {
+      return sessionAudioConfig;
+    } else if (mediaStream) {
+      return createMediaStreamAudioConfig(mediaStream);
+    } else if (typeof audioConfig !== 'undefined' || deviceId === defaultDeviceId) {
+      return defaultAudioConfig;
+    }
+
+    return createMicrophoneAudioConfig(deviceId);
+  };
+}
@@ -0,0 +1,42 @@
+const DECIBELS_PER_DECADE = 20;
+const FULL_SCALE = 0x8000;
+const MILLISECONDS_PER_SECOND = 1000;
+
+function toDecibelsFullScale(value) {
+  // Silence is -Infinity dBFS.
+  return DECIBELS_PER_DECADE * Math.log10(value / FULL_SCALE);
+}
+
+// Measures RMS and peak levels of 16-bit samples for every interval, in dBFS.
+// Intervals are measured by the number of samples, so the rate is kept regardless of how audio is chunked.
+export default function createAudioLevelMeter({ interval = 100, sampleRate = 16000 } = {}) {
+  const samplesPerInterval = Math.max(1, Math.round((interval / MILLISECONDS_PER_SECOND) * sampleRate));
+  let count = 0;
+  let peak = 0;
+  let sumOfSquares = 0;
+
+  return {
+    // Returns levels of every interval completed by the samples.
+    process(samples) {
+      const levels = [];
+
+      for (let index = 0; index < samples.length; index++) {
+        const sample = samples[index];
+
+        peak = Math.max(peak, Math.abs(sample));
+        sumOfSquares += sample * sample;
+
+        if (++count >= samplesPerInterval) {
+          levels.push({
+            peak: toDecibelsFullScale(peak),
+            rms: toDecibelsFullScale(Math.sqrt(sumOfSquares / count))
+          });
+
+          count = peak = sumOfSquares = 0;
+        }
+      }
+
+      return levels;
+    }
+  };
+}
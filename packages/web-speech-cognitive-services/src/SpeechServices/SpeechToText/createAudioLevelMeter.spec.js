@@ -0,0 +1,29 @@
+import createAudioLevelMeter from './createAudioLevelMeter';
+
+describe('createAudioLevelMeter', () => {
+  test('should measure full scale and half scale', () => {
+    const audioLevelMeter = createAudioLevelMeter({ interval: 100 });
+    const samples = new Int16Array(1600).fill(-0x8000);
+
+    samples.fill(0x4000, 800);
+
+    const [level] = audioLevelMeter.process(samples);
+
+    expect(level.peak).toBe(0);
+    expect(level.rms).toBeCloseTo(-2.04, 2);
+  });
+
+  test('should measure silence as -Infinity', () => {
+    const audioLevelMeter = createAudioLevelMeter({ interval: 100 });
+
+    expect(audioLevelMeter.process(new Int16Array(1600))).toEqual([{ peak: -Infinity, rms: -Infinity }]);
+  });
+
+  test('should keep rate regardless of chunk size', () => {
+    const audioLevelMeter = createAudioLevelMeter({ interval: 50, sampleRate: 8000 });
+
+    // 400 samples per interval.
+    expect(audioLevelMeter.process(new Int16Array(300).fill(100))).toHaveLength(0);
+    expect(audioLevelMeter.process(new Int16Array(900).fill(100))).toHaveLength(3);
+  });
+});
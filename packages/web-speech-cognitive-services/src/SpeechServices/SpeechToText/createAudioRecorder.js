@@ -0,0 +1,89 @@
+// Offset and duration are in ticks of 100 nanoseconds, as returned by Speech Services.
+const TICKS_PER_SECOND = 10000000;
+
+const BITS_PER_BYTE = 8;
+const DEFAULT_FORMAT = { bitsPerSample: 16, channels: 1, samplesPerSec: 16000 };
+const WAVE_FORMAT_PCM = 1;
+const WAVE_HEADER_SIZE = 44;
+
+function writeFourCC(dataView, offset, value) {
+  value.split('').forEach((char, index) => dataView.setUint8(offset + index, char.charCodeAt(0)));
+}
+
+function createWaveHeader({ bitsPerSample, channels, samplesPerSec }, dataSize) {
+  const blockAlign = (bitsPerSample / BITS_PER_BYTE) * channels;
+  const dataView = new DataView(new ArrayBuffer(WAVE_HEADER_SIZE));
+
+  writeFourCC(dataView, 0, 'RIFF');
+  dataView.setUint32(4, WAVE_HEADER_SIZE - 8 + dataSize, true);
+  writeFourCC(dataView, 8, 'WAVE');
+  writeFourCC(dataView, 12, 'fmt ');
+  dataView.setUint32(16, 16, true);
+  dataView.setUint16(20, WAVE_FORMAT_PCM, true);
+  dataView.setUint16(22, channels, true);
+  dataView.setUint32(24, samplesPerSec, true);
+  dataView.setUint32(28, samplesPerSec * blockAlign, true);
+  dataView.setUint16(32, blockAlign, true);
+  dataView.setUint16(34, bitsPerSample, true);
+  writeFourCC(dataView, 36, 'data');
+  dataView.setUint32(40, dataSize, true);
+
+  return dataView.buffer;
+}
+
+// Records PCM audio read by the recognizer, so the audio of the session or a result can be replayed as WAV.
+export default function createAudioRecorder() {
+  const chunks = [];
+  let byteLength = 0;
+  let discardedByteLength = 0;
+  let format = DEFAULT_FORMAT;
+
+  const getBlockAlign = () => (format.bitsPerSample / BITS_PER_BYTE) * format.channels;
+
+  const ticksToBytes = ticks => Math.round((ticks / TICKS_PER_SECOND) * format.samplesPerSec) * getBlockAlign();
+
+  return {
+    // Duration of the recorded audio in ticks.
+    get duration() {
+      return Math.round((byteLength / getBlockAlign() / format.samplesPerSec) * TICKS_PER_SECOND);
+    },
+    push(arrayBuffer) {
+      chunks.push(arrayBuffer);
+      byteLength += arrayBuffer.byteLength;
+    },
+    // Frees audio before the offset in ticks, offsets of the remaining audio are unchanged.
+    discard(offset) {
+      const end = ticksToBytes(offset);
+
+      while (chunks.length && discardedByteLength + chunks[0].byteLength <= end) {
+        discardedByteLength += chunks.shift().byteLength;
+      }
+    },
+    setFormat(nextFormat) {
+      // AudioStreamFormat of Speech SDK, only "bitsPerSample", "channels", and "samplesPerSec" are used.
+      if (nextFormat) {
+        format = nextFormat;
+      }
+    },
+    // Returns the recording as a WAV Blob, optionally sliced by offset and duration in ticks.
+    toBlob(offset = 0, duration) {
+      // Audio which has been discarded cannot be returned.
+      const start = Math.min(Math.max(ticksToBytes(offset), discardedByteLength), byteLength);
+      const end = typeof duration === 'number' ? Math.min(start + ticksToBytes(duration), byteLength) : byteLength;
+      const parts = [];
+
+      for (let chunkStart = discardedByteLength, index = 0; index < chunks.length && chunkStart < end; index++) {
+        const chunk = chunks[index];
+        const chunkEnd = chunkStart + chunk.byteLength;
+
+        if (chunkEnd > start) {
+          parts.push(chunk.slice(Math.max(start - chunkStart, 0), Math.min(end, chunkEnd) - chunkStart));
+        }
+
+        chunkStart = chunkEnd;
+      }
+
+      return new Blob([createWaveHeader(format, end - start), ...parts], { type: 'audio/wav' });
+    }
+  };
+}
@@ -0,0 +1,92 @@
+import createAudioRecorder from './createAudioRecorder';
+
+// 100 ms in ticks of 100 nanoseconds.
+const TICKS_100_MS = 1000000;
+
+async function readWave(blob) {
+  const arrayBuffer = await blob.arrayBuffer();
+  const dataView = new DataView(arrayBuffer);
+
+  return {
+    channels: dataView.getUint16(22, true),
+    dataSize: dataView.getUint32(40, true),
+    samples: Array.from(new Int16Array(arrayBuffer, 44)),
+    samplesPerSecond: dataView.getUint32(24, true),
+    type: blob.type
+  };
+}
+
+// 100 ms of 16 kHz samples at a constant value.
+function createChunk(value, samplesPerSecond = 16000) {
+  return new Int16Array(samplesPerSecond / 10).fill(value).buffer;
+}
+
+describe('createAudioRecorder', () => {
+  test('should record the whole session as WAV', async () => {
+    const audioRecorder = createAudioRecorder();
+
+    audioRecorder.push(createChunk(1));
+    audioRecorder.push(createChunk(2));
+
+    expect(audioRecorder.duration).toBe(TICKS_100_MS * 2);
+
+    const { samples, ...wave } = await readWave(audioRecorder.toBlob());
+
+    expect(wave).toEqual({ channels: 1, dataSize: 6400, samplesPerSecond: 16000, type: 'audio/wav' });
+    expect(samples).toHaveLength(3200);
+  });
+
+  test('should slice by offset and duration across chunks', async () => {
+    const audioRecorder = createAudioRecorder();
+
+    audioRecorder.push(createChunk(1));
+    audioRecorder.push(createChunk(2));
+    audioRecorder.push(createChunk(3));
+
+    const { samples } = await readWave(audioRecorder.toBlob(TICKS_100_MS / 2, TICKS_100_MS * 2));
+
+    expect(samples).toHaveLength(3200);
+    expect(samples[0]).toBe(1);
+    expect(samples[800]).toBe(2);
+    expect(samples[3199]).toBe(3);
+  });
+
+  test('should not slice beyond recorded audio', async () => {
+    const audioRecorder = createAudioRecorder();
+
+    audioRecorder.push(createChunk(1));
+
+    await expect(readWave(audioRecorder.toBlob(TICKS_100_MS / 2, TICKS_100_MS * 10))).resolves.toHaveProperty(
+      'dataSize',
+      1600
+    );
+  });
+
+  test('should discard audio before offset', async () => {
+    const audioRecorder = createAudioRecorder();
+
+    audioRecorder.push(createChunk(1));
+    audioRecorder.push(createChunk(2));
+    audioRecorder.discard(TICKS_100_MS);
+    audioRecorder.push(createChunk(3));
+
+    expect(audioRecorder.duration).toBe(TICKS_100_MS * 3);
+
+    const { samples } = await readWave(audioRecorder.toBlob(TICKS_100_MS * 2, TICKS_100_MS));
+
+    expect(samples).toHaveLength(1600);
+    expect(samples[0]).toBe(3);
+
+    await expect(readWave(audioRecorder.toBlob())).resolves.toHaveProperty('dataSize', 6400);
+  });
+
+  test('should honor format', async () => {
+    const audioRecorder = createAudioRecorder();
+
+    audioRecorder.setFormat({ bitsPerSample: 16, channels: 1, samplesPerSec: 8000 });
+    audioRecorder.push(createChunk(1, 8000));
+
+    expect(audioRecorder.duration).toBe(TICKS_100_MS);
+    await expect(readWave(audioRecorder.toBlob())).resolves.toHaveProperty('samplesPerSecond', 8000);
+  });
+});
@@ -0,0 +1,31 @@
+import { createSpeechRecognitionPonyfillFromOptions } from './createSpeechRecognitionPonyfill';
+import SpeechSDK from '../SpeechSDK';
+
+const { ConversationTranscriber } = SpeechSDK;
+
+// ConversationTranscriber is very similar to SpeechRecognizer but with different names for events and functions.
+// We are adapting it to look like SpeechRecognizer, so it can share the same event loop.
+function adaptConversationTranscriber(transcriber) {
+  return Object.defineProperties(transcriber, {
+    recognized: {
+      get: () => transcriber.transcribed,
+      set: value => {
+        transcriber.transcribed = value;
+      }
+    },
+    recognizing: {
+      get: () => transcriber.transcribing,
+      set: value => {
+        transcriber.transcribing = value;
+      }
+    },
+    startContinuousRecognitionAsync: { value: transcriber.startTranscribingAsync.bind(transcriber) },
+    stopContinuousRecognitionAsync: { value: transcriber.stopTranscribingAsync.bind(transcriber) }
+  });
+}
+
+export default options =>
+  createSpeechRecognitionPonyfillFromOptions(options, {
+    createRecognizer: (speechConfig, audioConfig) =>
+      adaptConversationTranscriber(new ConversationTranscriber(speechConfig, audioConfig))
+  });
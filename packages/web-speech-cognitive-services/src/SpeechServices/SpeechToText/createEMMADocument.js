@@ -0,0 +1,64 @@
+// Creates an EMMA 1.0 document from the interpretation of a final result.
+// https://www.w3.org/TR/emma/
+
+const EMMA_NAMESPACE = 'http://www.w3.org/2003/04/emma';
+const XML_NAME_PATTERN = /^[A-Z_a-z][\w.-]*$/u;
+
+// Application semantics are serialized as elements without namespace, arrays become repeated elements.
+// Names which are not valid in XML are kept in the "name" attribute of a "property" element.
+function appendSemantics(document, parent, name, value) {
+  if (value === null || typeof value === 'undefined') {
+    return;
+  } else if (Array.isArray(value)) {
+    return value.forEach(item => appendSemantics(document, parent, name, item));
+  }
+
+  const validName = XML_NAME_PATTERN.test(name);
+  const element = document.createElement(validName ? name : 'property');
+
+  validName || element.setAttribute('name', name);
+
+  if (typeof value === 'object') {
+    Object.keys(value).forEach(key => appendSemantics(document, element, key, value[key]));
+  } else {
+    element.textContent = String(value);
+  }
+
+  parent.appendChild(element);
+}
+
+// Returns undefined if DOM is not available.
+export default function createEMMADocument({ confidence, interpretation, lang, tokens }) {
+  const { implementation } = (typeof window !== 'undefined' && window.document) || {};
+
+  if (!implementation) {
+    return;
+  }
+
+  const document = implementation.createDocument(EMMA_NAMESPACE, 'emma:emma', null);
+  const interpretationElement = document.createElementNS(EMMA_NAMESPACE, 'emma:interpretation');
+
+  document.documentElement.setAttribute('version', '1.0');
+
+  interpretationElement.setAttribute('id', 'interpretation1');
+  typeof confidence === 'number' && interpretationElement.setAttributeNS(EMMA_NAMESPACE, 'emma:confidence', confidence);
+  lang && interpretationElement.setAttributeNS(EMMA_NAMESPACE, 'emma:lang', lang);
+  interpretationElement.setAttributeNS(EMMA_NAMESPACE, 'emma:medium', 'acoustic');
+  interpretationElement.setAttributeNS(EMMA_NAMESPACE, 'emma:mode', 'voice');
+  tokens && interpretationElement.setAttributeNS(EMMA_NAMESPACE, 'emma:tokens', tokens);
+
+  if (typeof interpretation === 'object') {
+    Object.keys(interpretation).forEach(key =>
+      appendSemantics(document, interpretationElement, key, interpretation[key])
+    );
+  } else {
+    const literal = document.createElementNS(EMMA_NAMESPACE, 'emma:literal');
+
+    literal.textContent = String(interpretation);
+    interpretationElement.appendChild(literal);
+  }
+
+  document.documentElement.appendChild(interpretationElement);
+
+  return document;
+}
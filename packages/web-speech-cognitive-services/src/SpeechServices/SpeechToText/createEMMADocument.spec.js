@@ -0,0 +1,40 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import createEMMADocument from './createEMMADocument';
+
+const serialize = document => new XMLSerializer().serializeToString(document);
+
+describe('createEMMADocument', () => {
+  test('should serialize structured interpretation', () => {
+    const document = createEMMADocument({
+      confidence: 0.9,
+      interpretation: { entities: { floorName: '7', 'room number': 701 }, intentId: 'ChangeFloor', slots: ['a', 'b'] },
+      lang: 'en-US',
+      tokens: 'Take me to floor 7.'
+    });
+
+    expect(serialize(document)).toBe(
+      '<emma:emma xmlns:emma="http://www.w3.org/2003/04/emma" version="1.0">' +
+        '<emma:interpretation id="interpretation1" emma:confidence="0.9" emma:lang="en-US" emma:medium="acoustic" emma:mode="voice" emma:tokens="Take me to floor 7.">' +
+        '<entities><floorName>7</floorName><property name="room number">701</property></entities>' +
+        '<intentId>ChangeFloor</intentId>' +
+        '<slots>a</slots><slots>b</slots>' +
+        '</emma:interpretation>' +
+        '</emma:emma>'
+    );
+  });
+
+  test('should serialize string interpretation as literal', () => {
+    const document = createEMMADocument({ interpretation: 'yes', tokens: 'Yeah.' });
+
+    expect(document.getElementsByTagNameNS('http://www.w3.org/2003/04/emma', 'literal')[0].textContent).toBe('yes');
+  });
+
+  test('should escape text', () => {
+    const document = createEMMADocument({ interpretation: { query: '<b>&' }, tokens: '"<b>"' });
+
+    expect(serialize(document)).toContain('<query>&lt;b&gt;&amp;</query>');
+  });
+});
@@ -0,0 +1,44 @@
+// Confidence of a hypothesis when it is not returned by Speech Services.
+const DEFAULT_CONFIDENCE = 0.5;
+
+// Estimates confidence of hypotheses from how consistent successive hypotheses of the same utterance are.
+// A word starts at 0.5 and approaches 1 the more hypotheses it stayed unchanged. Words after a changed word are reset.
+export default function createHypothesisStabilityEstimator() {
+  let previousWords = [];
+
+  return {
+    estimate(text) {
+      let stable = true;
+
+      const words = (text || '')
+        .split(/\s+/u)
+        .filter(word => word)
+        .map((word, index) => {
+          const previousWord = previousWords[index];
+
+          stable = stable && !!previousWord && previousWord.text === word;
+
+          return { count: stable ? previousWord.count + 1 : 0, text: word };
+        });
+
+      previousWords = words;
+
+      if (!words.length) {
+        return { confidence: DEFAULT_CONFIDENCE, words: [] };
+      }
+
+      const wordsWithConfidence = words.map(({ count, text }) => ({ confidence: (count + 1) / (count + 2), text }));
+
+      return {
+        confidence:
+          wordsWithConfidence.reduce((sum, { confidence }) => sum + confidence, 0) / wordsWithConfidence.length,
+        words: wordsWithConfidence
+      };
+    },
+
+    // Called when the utterance is finalized, so the next hypothesis is not compared against it.
+    reset() {
+      previousWords = [];
+    }
+  };
+}
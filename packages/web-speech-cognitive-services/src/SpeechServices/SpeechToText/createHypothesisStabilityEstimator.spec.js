@@ -0,0 +1,39 @@
+import createHypothesisStabilityEstimator from './createHypothesisStabilityEstimator';
+
+test('should raise confidence of words unchanged across hypotheses', () => {
+  const { estimate } = createHypothesisStabilityEstimator();
+
+  expect(estimate('turn')).toEqual({ confidence: 0.5, words: [{ confidence: 0.5, text: 'turn' }] });
+  expect(estimate('turn on')).toEqual({
+    confidence: (2 / 3 + 0.5) / 2,
+    words: [
+      { confidence: 2 / 3, text: 'turn' },
+      { confidence: 0.5, text: 'on' }
+    ]
+  });
+  expect(estimate('turn on the').words.map(({ confidence }) => confidence)).toEqual([0.75, 2 / 3, 0.5]);
+});
+
+test('should reset words after a changed word', () => {
+  const { estimate } = createHypothesisStabilityEstimator();
+
+  estimate('turn of the');
+  estimate('turn of the');
+
+  expect(estimate('turn off the').words.map(({ confidence }) => confidence)).toEqual([0.75, 0.5, 0.5]);
+});
+
+test('should not compare against hypotheses before reset', () => {
+  const { estimate, reset } = createHypothesisStabilityEstimator();
+
+  estimate('hello');
+  reset();
+
+  expect(estimate('hello')).toHaveProperty('confidence', 0.5);
+});
+
+test('should return default confidence for empty hypothesis', () => {
+  const { estimate } = createHypothesisStabilityEstimator();
+
+  expect(estimate('')).toEqual({ confidence: 0.5, words: [] });
+});
@@ -0,0 +1,76 @@
+// Local intent recognition with patterns, in the syntax of PatternMatchingModel of Speech SDK, which is not available in JavaScript.
+// For example, "Take me to [the] floor {floorName}" or "(Turn|Switch) {state} the lights".
+// "{name}" captures an entity, "[...]" is optional, and "(...|...)" is a list of alternatives.
+
+const SPECIAL_CHARACTERS = /[$()*+.?[\\\]^{|}]/gu;
+
+// Casing and punctuation from display text are ignored.
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[!"#,:;?]|\.(?=\s|$)/gu, ' ')
+    .replace(/\s+/gu, ' ')
+    .trim();
+}
+
+function compilePattern(pattern) {
+  const entityNames = [];
+  let source = '';
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === '{') {
+      const end = pattern.indexOf('}', index);
+
+      if (!~end) {
+        throw new Error(`web-speech-cognitive-services: Pattern "${pattern}" has an unclosed entity.`);
+      }
+
+      entityNames.push(pattern.slice(index + 1, end).trim());
+      source += '(.+?)';
+      index = end;
+    } else if (char === '[' || char === '(') {
+      source += '(?:';
+    } else if (char === ']') {
+      source += ')?';
+    } else if (char === ')' || char === '|') {
+      source += char;
+    } else if (/\s/u.test(char)) {
+      // Words around optional parts may be separated by one or two spaces, or none if the optional part is at the end.
+      source += '\\s*';
+    } else {
+      source += normalize(char).replace(SPECIAL_CHARACTERS, '\\$&') || '\\s*';
+    }
+  }
+
+  // Alternatives at the top level should not escape the anchors, "a|b" should match "^(?:a|b)$" instead of "^a|b$".
+  return { entityNames, regExp: new RegExp(`^(?:${source})$`, 'u') };
+}
+
+export default function createPatternMatchingInterpreter({ intents = [] } = {}) {
+  const compiledIntents = intents.map(({ id, patterns }) => ({ id, patterns: patterns.map(compilePattern) }));
+
+  // Returns the first intent matching the alternatives in order of confidence, or undefined if none matched.
+  return async result => {
+    for (const { transcript } of Array.from(result)) {
+      const text = normalize(transcript || '');
+
+      for (const { id, patterns } of compiledIntents) {
+        for (const { entityNames, regExp } of patterns) {
+          const match = regExp.exec(text);
+
+          if (match) {
+            return {
+              entities: entityNames.reduce(
+                (entities, name, index) => ({ ...entities, [name]: match[index + 1].trim() }),
+                {}
+              ),
+              intentId: id
+            };
+          }
+        }
+      }
+    }
+  };
+}
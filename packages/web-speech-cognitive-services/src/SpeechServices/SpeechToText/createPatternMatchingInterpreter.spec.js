@@ -0,0 +1,62 @@
+import createPatternMatchingInterpreter from './createPatternMatchingInterpreter';
+
+const interpret = createPatternMatchingInterpreter({
+  intents: [
+    { id: 'ChangeFloor', patterns: ['Take me to [the] floor {floorName}', 'Go to floor {floorName}'] },
+    { id: 'Lights', patterns: ['(Turn|Switch) {state} the lights'] }
+  ]
+});
+
+const createResult = (...transcripts) => transcripts.map(transcript => ({ confidence: 0.9, transcript }));
+
+describe('createPatternMatchingInterpreter', () => {
+  test('should match pattern with entity', async () => {
+    await expect(interpret(createResult('Take me to floor 7.'))).resolves.toEqual({
+      entities: { floorName: '7' },
+      intentId: 'ChangeFloor'
+    });
+  });
+
+  test('should match optional word', async () => {
+    await expect(interpret(createResult('Take me to the floor 7.'))).resolves.toEqual({
+      entities: { floorName: '7' },
+      intentId: 'ChangeFloor'
+    });
+  });
+
+  test('should match alternatives', async () => {
+    await expect(interpret(createResult('Switch off the lights!'))).resolves.toEqual({
+      entities: { state: 'off' },
+      intentId: 'Lights'
+    });
+  });
+
+  test('should match whole transcript with alternatives at the top level', async () => {
+    const interpret = createPatternMatchingInterpreter({ intents: [{ id: 'Answer', patterns: ['yes|no'] }] });
+
+    await expect(interpret(createResult('No.'))).resolves.toHaveProperty('intentId', 'Answer');
+    await expect(interpret(createResult('Yes, but no.'))).resolves.toBeUndefined();
+    await expect(interpret(createResult('I say no.'))).resolves.toBeUndefined();
+  });
+
+  test('should keep decimal point in entity', async () => {
+    await expect(interpret(createResult('Go to floor 3.5.'))).resolves.toHaveProperty('entities.floorName', '3.5');
+  });
+
+  test('should match next alternative if the best one did not match', async () => {
+    await expect(interpret(createResult('Go to flow 7.', 'Go to floor 7.'))).resolves.toHaveProperty(
+      'intentId',
+      'ChangeFloor'
+    );
+  });
+
+  test('should return undefined if nothing matched', async () => {
+    await expect(interpret(createResult('Hello, World!'))).resolves.toBeUndefined();
+  });
+
+  test('should throw on unclosed entity', () => {
+    expect(() => createPatternMatchingInterpreter({ intents: [{ id: 'Bad', patterns: ['Go to {floor'] }] })).toThrow(
+      'unclosed entity'
+    );
+  });
+});
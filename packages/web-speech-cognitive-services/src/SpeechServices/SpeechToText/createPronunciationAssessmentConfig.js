@@ -0,0 +1,51 @@
+import SpeechSDK from '../SpeechSDK';
+
+const { PronunciationAssessmentConfig, PronunciationAssessmentGradingSystem, PronunciationAssessmentGranularity } =
+  SpeechSDK;
+
+const GRADING_SYSTEM_MAP = {
+  fivepoint: PronunciationAssessmentGradingSystem.FivePoint,
+  hundredmark: PronunciationAssessmentGradingSystem.HundredMark
+};
+
+const GRANULARITY_MAP = {
+  fulltext: PronunciationAssessmentGranularity.FullText,
+  phoneme: PronunciationAssessmentGranularity.Phoneme,
+  word: PronunciationAssessmentGranularity.Word
+};
+
+// Validates options of pronunciation assessment, so misconfiguration is reported when it is set instead of when recognition starts.
+export function validatePronunciationAssessment({ gradingSystem = 'hundredmark', granularity = 'phoneme' }) {
+  if (!GRADING_SYSTEM_MAP[gradingSystem]) {
+    throw new Error(
+      'web-speech-cognitive-services: "pronunciationAssessment.gradingSystem" must be either "fivepoint" or "hundredmark".'
+    );
+  } else if (!GRANULARITY_MAP[granularity]) {
+    throw new Error(
+      'web-speech-cognitive-services: "pronunciationAssessment.granularity" must be either "fulltext", "phoneme", or "word".'
+    );
+  }
+}
+
+export default function createPronunciationAssessmentConfig(options) {
+  validatePronunciationAssessment(options);
+
+  const {
+    enableMiscue = false,
+    enableProsodyAssessment = false,
+    gradingSystem = 'hundredmark',
+    granularity = 'phoneme',
+    referenceText = ''
+  } = options;
+
+  const pronunciationAssessmentConfig = new PronunciationAssessmentConfig(
+    referenceText,
+    GRADING_SYSTEM_MAP[gradingSystem],
+    GRANULARITY_MAP[granularity],
+    enableMiscue
+  );
+
+  pronunciationAssessmentConfig.enableProsodyAssessment = enableProsodyAssessment;
+
+  return pronunciationAssessmentConfig;
+}
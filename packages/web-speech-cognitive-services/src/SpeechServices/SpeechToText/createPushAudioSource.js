@@ -0,0 +1,110 @@
+import SpeechSDK from '../SpeechSDK';
+
+const { AudioConfig, AudioInputStream, AudioStreamFormat } = SpeechSDK;
+
+const DEFAULT_HIGH_WATER_MARK_IN_SECONDS = 10;
+const BITS_PER_BYTE = 8;
+
+// Voice activity detection and audio level metering can only read 8-bit and 16-bit PCM.
+const SUPPORTED_BITS_PER_SAMPLE = [8, 16];
+
+function toArrayBuffer(chunk) {
+  // Typed arrays and Node.js Buffer could be a view of a larger ArrayBuffer, we should only send the viewed portion.
+  return ArrayBuffer.isView(chunk) ? chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength) : chunk;
+}
+
+// Creates an audio source to feed PCM audio from custom capture pipeline into speech recognition.
+// Pass "audioConfig" to the ponyfill, then call "push" with PCM chunks and "end" when there is no more audio.
+export default function createPushAudioSource({
+  bitsPerSample = 16,
+  channels = 1,
+  highWaterMark,
+  samplesPerSecond = 16000
+} = {}) {
+  if (!SUPPORTED_BITS_PER_SAMPLE.includes(bitsPerSample)) {
+    throw new Error(
+      `web-speech-cognitive-services: "bitsPerSample" must be one of ${SUPPORTED_BITS_PER_SAMPLE.join(', ')}.`
+    );
+  } else if (!Number.isInteger(channels) || channels < 1) {
+    throw new Error('web-speech-cognitive-services: "channels" must be a positive integer.');
+  }
+
+  const format = Object.freeze({ bitsPerSample, channels, samplesPerSecond });
+  const pushStream = AudioInputStream.createPushStream(
+    AudioStreamFormat.getWaveFormatPCM(samplesPerSecond, bitsPerSample, channels)
+  );
+  const audioConfig = AudioConfig.fromStreamInput(pushStream);
+  const drainResolves = [];
+
+  let bufferedAmount = 0;
+  let ended = false;
+
+  highWaterMark =
+    typeof highWaterMark === 'number'
+      ? highWaterMark
+      : (samplesPerSecond * bitsPerSample * channels * DEFAULT_HIGH_WATER_MARK_IN_SECONDS) / BITS_PER_BYTE;
+
+  const drain = () => {
+    if (ended || bufferedAmount < highWaterMark) {
+      drainResolves.splice(0).forEach(resolve => resolve());
+    }
+  };
+
+  const attach = audioConfig.attach.bind(audioConfig);
+
+  // We modify "attach" function to track how much audio is read by the recognizer for backpressure.
+  audioConfig.attach = async audioNodeId => {
+    const audioNode = await attach(audioNodeId);
+
+    return {
+      ...audioNode,
+      detach: async () => {
+        await audioNode.detach();
+
+        // Unlike microphone, push stream does not signal when it is turned off, the ponyfill needs it to end the session.
+        audioConfig.events.onEvent({ name: 'AudioSourceOffEvent' });
+      },
+      read: async () => {
+        const chunk = await audioNode.read();
+
+        if (chunk && chunk.buffer) {
+          bufferedAmount = Math.max(0, bufferedAmount - chunk.buffer.byteLength);
+          drain();
+        }
+
+        return chunk;
+      }
+    };
+  };
+
+  return {
+    audioConfig,
+    get bufferedAmount() {
+      return bufferedAmount;
+    },
+    end() {
+      if (!ended) {
+        ended = true;
+        pushStream.close();
+        drain();
+      }
+    },
+    format,
+    // Returns a Promise which resolves when the buffered audio is below high water mark.
+    push(chunk) {
+      if (ended) {
+        throw new Error('web-speech-cognitive-services: Cannot push audio after end() is called.');
+      }
+
+      const arrayBuffer = toArrayBuffer(chunk);
+
+      bufferedAmount += arrayBuffer.byteLength;
+      pushStream.write(arrayBuffer);
+
+      return new Promise(resolve => {
+        drainResolves.push(resolve);
+        drain();
+      });
+    }
+  };
+}
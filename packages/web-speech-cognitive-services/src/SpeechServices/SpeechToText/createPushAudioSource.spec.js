@@ -0,0 +1,95 @@
+import createPushAudioSource from './createPushAudioSource';
+
+// 100 ms of 16 kHz 16-bit mono audio.
+const CHUNK_SIZE = 3200;
+
+describe('createPushAudioSource', () => {
+  test('should declare input format', () => {
+    expect(createPushAudioSource().format).toEqual({ bitsPerSample: 16, channels: 1, samplesPerSecond: 16000 });
+    expect(createPushAudioSource({ samplesPerSecond: 8000 }).format).toEqual({
+      bitsPerSample: 16,
+      channels: 1,
+      samplesPerSecond: 8000
+    });
+    expect(createPushAudioSource({ bitsPerSample: 8, channels: 2 }).format).toEqual({
+      bitsPerSample: 8,
+      channels: 2,
+      samplesPerSecond: 16000
+    });
+  });
+
+  test('should throw on unsupported bits per sample', () => {
+    expect(() => createPushAudioSource({ bitsPerSample: 24 })).toThrow('"bitsPerSample" must be one of 8, 16');
+  });
+
+  test('should throw on invalid channels', () => {
+    expect(() => createPushAudioSource({ channels: 0 })).toThrow('"channels" must be a positive integer');
+  });
+
+  test('should feed pushed audio to recognizer', async () => {
+    const { audioConfig, end, push } = createPushAudioSource();
+    const audioNode = await audioConfig.attach('AUDIO_NODE_ID');
+
+    push(new Int16Array(CHUNK_SIZE / 2).fill(1));
+    end();
+
+    const chunk = await audioNode.read();
+
+    expect(chunk.buffer.byteLength).toBe(CHUNK_SIZE);
+    expect(new Int16Array(chunk.buffer)[0]).toBe(1);
+
+    await expect(audioNode.read()).resolves.toHaveProperty('isEnd', true);
+  });
+
+  test('should only send the viewed portion of typed array', async () => {
+    const { audioConfig, end, push } = createPushAudioSource();
+    const audioNode = await audioConfig.attach('AUDIO_NODE_ID');
+
+    push(new Uint8Array(new ArrayBuffer(CHUNK_SIZE * 2), CHUNK_SIZE, CHUNK_SIZE));
+    end();
+
+    await expect(audioNode.read()).resolves.toHaveProperty('buffer.byteLength', CHUNK_SIZE);
+  });
+
+  test('should apply backpressure until audio is read', async () => {
+    const audioSource = createPushAudioSource({ highWaterMark: CHUNK_SIZE });
+    const audioNode = await audioSource.audioConfig.attach('AUDIO_NODE_ID');
+    const drained = jest.fn();
+
+    await audioSource.push(new ArrayBuffer(CHUNK_SIZE / 2));
+    audioSource.push(new ArrayBuffer(CHUNK_SIZE)).then(drained);
+
+    expect(audioSource).toHaveProperty('bufferedAmount', CHUNK_SIZE * 1.5);
+
+    await Promise.resolve();
+
+    expect(drained).not.toHaveBeenCalled();
+
+    await audioNode.read();
+    await Promise.resolve();
+
+    expect(audioSource).toHaveProperty('bufferedAmount', CHUNK_SIZE / 2);
+    expect(drained).toHaveBeenCalledTimes(1);
+  });
+
+  test('should signal "AudioSourceOffEvent" when detached', async () => {
+    const { audioConfig } = createPushAudioSource();
+    const names = [];
+
+    audioConfig.events.attach(({ name }) => names.push(name));
+
+    const audioNode = await audioConfig.attach('AUDIO_NODE_ID');
+
+    await audioNode.detach();
+
+    expect(names).toContain('AudioSourceOffEvent');
+  });
+
+  test('should throw when pushing after end', () => {
+    const { end, push } = createPushAudioSource();
+
+    end();
+
+    expect(() => push(new ArrayBuffer(CHUNK_SIZE))).toThrow('Cannot push audio after end() is called.');
+  });
+});
@@ -0,0 +1,79 @@
+import SpeechSDK from '../SpeechSDK';
+
+const { OutputFormat, ProfanityOption, PropertyId } = SpeechSDK;
+
+const PROFANITY_OPTION_MAP = {
+  masked: ProfanityOption.Masked,
+  raw: ProfanityOption.Raw,
+  removed: ProfanityOption.Removed
+};
+
+// Endpoint ID can be a map of language to endpoint ID, so different Custom Speech models can be used for different languages.
+// Language tags are case-insensitive. If the language is not in the map, the base model will be used.
+function resolveEndpointId(speechRecognitionEndpointId, lang) {
+  if (!speechRecognitionEndpointId || typeof speechRecognitionEndpointId === 'string') {
+    return speechRecognitionEndpointId;
+  }
+
+  const key = Object.keys(speechRecognitionEndpointId).find(key => key.toLowerCase() === lang.toLowerCase());
+
+  return key && speechRecognitionEndpointId[key];
+}
+
+// Creates SpeechConfig or its derived classes (e.g. SpeechTranslationConfig) from resolved credentials and options.
+export default function createSpeechConfig(
+  SpeechConfigClass,
+  { authorizationToken, region, speechRecognitionHostname, subscriptionKey },
+  {
+    endSilenceTimeout,
+    initialSilenceTimeout,
+    lang,
+    profanity,
+    segmentationSilenceTimeout,
+    speechRecognitionEndpointId,
+    wordLevelTimestamps
+  } = {}
+) {
+  let speechConfig;
+
+  if (speechRecognitionHostname) {
+    const host = { hostname: speechRecognitionHostname, port: 443, protocol: 'wss:' };
+
+    if (authorizationToken) {
+      speechConfig = SpeechConfigClass.fromHost(host);
+      speechConfig.authorizationToken = authorizationToken;
+    } else {
+      speechConfig = SpeechConfigClass.fromHost(host, subscriptionKey);
+    }
+  } else {
+    speechConfig = authorizationToken
+      ? SpeechConfigClass.fromAuthorizationToken(authorizationToken, region)
+      : SpeechConfigClass.fromSubscription(subscriptionKey, region);
+  }
+
+  lang = lang || 'en-US';
+
+  const endpointId = resolveEndpointId(speechRecognitionEndpointId, lang);
+
+  if (endpointId) {
+    speechConfig.endpointId = endpointId;
+  }
+
+  speechConfig.outputFormat = OutputFormat.Detailed;
+  speechConfig.speechRecognitionLanguage = lang;
+
+  wordLevelTimestamps && speechConfig.requestWordLevelTimestamps();
+
+  // Profanity option applies to both interim and final results.
+  profanity && speechConfig.setProfanity(PROFANITY_OPTION_MAP[profanity]);
+
+  // Timeouts are in milliseconds. If not set, we will use the defaults from Speech Services.
+  typeof initialSilenceTimeout === 'number' &&
+    speechConfig.setProperty(PropertyId.SpeechServiceConnection_InitialSilenceTimeoutMs, `${initialSilenceTimeout}`);
+  typeof endSilenceTimeout === 'number' &&
+    speechConfig.setProperty(PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs, `${endSilenceTimeout}`);
+  typeof segmentationSilenceTimeout === 'number' &&
+    speechConfig.setProperty(PropertyId.Speech_SegmentationSilenceTimeoutMs, `${segmentationSilenceTimeout}`);
+
+  return speechConfig;
+}
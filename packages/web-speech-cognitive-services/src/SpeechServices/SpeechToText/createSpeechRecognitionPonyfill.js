@@ -7,9 +7,23 @@
 import { Event, EventTarget, getEventAttributeValue, setEventAttributeValue } from 'event-target-shim';
 
 import cognitiveServiceEventResultToWebSpeechRecognitionResultList from './cognitiveServiceEventResultToWebSpeechRecognitionResultList';
+import createAdaptiveVoiceActivityDetector from './createAdaptiveVoiceActivityDetector';
+import createAudioLevelMeter from './createAudioLevelMeter';
+import createAudioConfigSelector from './createAudioConfigSelector';
+import createAudioRecorder from './createAudioRecorder';
+import createEMMADocument from './createEMMADocument';
+import createHypothesisStabilityEstimator from './createHypothesisStabilityEstimator';
 import createPromiseQueue from '../../Util/createPromiseQueue';
+import createPronunciationAssessmentConfig, {
+  validatePronunciationAssessment
+} from './createPronunciationAssessmentConfig';
+import createPushAudioSource from './createPushAudioSource';
+import createSpeechConfig from './createSpeechConfig';
+import decodeAudioToPCM from './decodeAudioToPCM';
+import getCredentialsRefreshTime from '../getCredentialsRefreshTime';
 import patchOptions from '../patchOptions';
 import SpeechGrammarList from './SpeechGrammarList';
+import SpeechRecognitionResultList from './SpeechRecognitionResultList';
 import SpeechSDK from '../SpeechSDK';
 
 // https://docs.microsoft.com/en-us/javascript/api/microsoft-cognitiveservices-speech-sdk/speechconfig?view=azure-node-latest#outputformat
@@ -34,27 +48,125 @@ import SpeechSDK from '../SpeechSDK';
 //   "Duration": 0
 // }
 
-const { AudioConfig, OutputFormat, ResultReason, SpeechConfig, SpeechRecognizer } = SpeechSDK;
+const {
+  AutoDetectSourceLanguageConfig,
+  CancellationErrorCode,
+  LanguageIdMode,
+  PhraseListGrammar,
+  ResultReason,
+  SpeechConfig,
+  SpeechRecognizer
+} = SpeechSDK;
+
+const DEFAULT_RECONNECT_POLICY = { backoffFactor: 2, initialDelay: 1000, maxAttempts: 5, maxDelay: 30000 };
+// Interpretation is awaited before the "result" event, a slow interpreter should not hold up the session.
+const INTERPRET_TIMEOUT = 1000;
+const MIN_CREDENTIALS_REFRESH_INTERVAL = 10000;
+
+// Authorization tokens issued by Cognitive Services are valid for 10 minutes, tokens without "exp" are refreshed a minute before.
+// https://docs.microsoft.com/en-us/azure/cognitive-services/authentication#authenticate-with-an-authentication-token
+const TOKEN_REFRESH_INTERVAL = 540000;
+const PROFANITY_OPTIONS = ['masked', 'raw', 'removed'];
+
+const BITS_PER_BYTE = 8;
+const MONO = 1;
+
+// 8-bit PCM is unsigned with silence at 128, it is scaled to the range of 16-bit PCM.
+const UINT8_TO_INT16_SCALE = 256;
+const UINT8_ZERO_LEVEL = 128;
+
+// Maps cancellation from Speech Services to error codes defined in W3C Web Speech API.
+// Most connection failures are reported as "ConnectionFailure", we need to look at the status code in error details.
+function cancellationToErrorCode({ errorCode, errorDetails = '' }) {
+  const [, statusCode] = /(?:StatusCode:|websocket error code:)\s*(\d+)/u.exec(errorDetails) || [];
+
+  if (/Permission\sdenied/u.test(errorDetails)) {
+    return 'not-allowed';
+  } else if (/microphone initialization|getUserMedia/u.test(errorDetails)) {
+    return 'audio-capture';
+  } else if (
+    errorCode === CancellationErrorCode.AuthenticationFailure ||
+    errorCode === CancellationErrorCode.Forbidden ||
+    statusCode === '401' ||
+    statusCode === '403'
+  ) {
+    return 'service-not-allowed';
+  } else if (
+    errorCode === CancellationErrorCode.BadRequestParameters ||
+    statusCode === '400' ||
+    statusCode === '1007'
+  ) {
+    // Bad request could be caused by unsupported language, or invalid grammar or endpoint ID.
+    return /language/iu.test(errorDetails) ? 'language-not-supported' : 'bad-grammar';
+  } else if (
+    errorCode === CancellationErrorCode.ConnectionFailure ||
+    errorCode === CancellationErrorCode.ServiceTimeout ||
+    statusCode === '1006'
+  ) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
 
-function serializeRecognitionResult({ duration, errorDetails, json, offset, properties, reason, resultId, text }) {
+function serializeRecognitionResult({
+  duration,
+  errorDetails,
+  json,
+  language,
+  languageDetectionConfidence,
+  offset,
+  properties,
+  reason,
+  resultId,
+  speakerId,
+  text,
+  translations
+}) {
   return {
     duration,
     errorDetails,
     json: JSON.parse(json),
+    language,
+    languageDetectionConfidence,
     offset,
     properties,
     reason,
     resultId,
-    text
+    speakerId,
+    text,
+    // Translations are only available from TranslationRecognizer.
+    ...(translations
+      ? {
+          translations: translations.languages.reduce(
+            (map, language) => ({ ...map, [language]: translations.get(language) }),
+            {}
+          )
+        }
+      : {})
   };
 }
 
-function averageAmplitude(arrayBuffer) {
-  const array = new Int16Array(arrayBuffer);
+// Language tags are case-insensitive.
+function isSameLanguage(language, otherLanguage) {
+  return (language || '').toLowerCase() === (otherLanguage || '').toLowerCase();
+}
+
+function getTokenRefreshTime(credentials) {
+  return getCredentialsRefreshTime(credentials) || Date.now() + TOKEN_REFRESH_INTERVAL;
+}
+
+// The third argument of addEventListener() and removeEventListener() could be a boolean or an options object.
+function getCaptureOption(options) {
+  return typeof options === 'boolean' ? options : !!(options && options.capture);
+}
 
-  return (
-    [].reduce.call(array, (averageAmplitude, amplitude) => averageAmplitude + Math.abs(amplitude), 0) / array.length
-  );
+function validateProfanity(value) {
+  if (typeof value !== 'undefined' && !PROFANITY_OPTIONS.includes(value)) {
+    throw new Error(
+      `web-speech-cognitive-services: The provided value is not one of ${PROFANITY_OPTIONS.map(option => `'${option}'`).join(', ')}`
+    );
+  }
 }
 
 function cognitiveServicesAsyncToPromise(fn) {
@@ -73,13 +185,58 @@ class SpeechRecognitionEvent extends Event {
   }
 }
 
-function prepareAudioConfig(audioConfig) {
+// Reads 16-bit samples from a chunk, which could be a view or have an odd number of bytes.
+function toInt16Samples(buffer) {
+  const { BYTES_PER_ELEMENT } = Int16Array;
+  const arrayBuffer = ArrayBuffer.isView(buffer) ? buffer.buffer : buffer;
+  const byteOffset = ArrayBuffer.isView(buffer) ? buffer.byteOffset : 0;
+  const length = Math.floor(buffer.byteLength / BYTES_PER_ELEMENT);
+
+  // Int16Array cannot be created at an odd offset, we will need to copy it.
+  return byteOffset % BYTES_PER_ELEMENT
+    ? new Int16Array(arrayBuffer.slice(byteOffset, byteOffset + length * BYTES_PER_ELEMENT))
+    : new Int16Array(arrayBuffer, byteOffset, length);
+}
+
+// Reads a chunk as 16-bit mono samples, which is what voice activity detection and level metering work on.
+// Audio from push audio source could be 8-bit, which is unsigned, or have multiple interleaved channels.
+function toSamples(buffer, { bitsPerSample, channels = MONO }) {
+  const samples =
+    bitsPerSample === BITS_PER_BYTE
+      ? Int16Array.from(
+          ArrayBuffer.isView(buffer)
+            ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+            : new Uint8Array(buffer),
+          value => (value - UINT8_ZERO_LEVEL) * UINT8_TO_INT16_SCALE
+        )
+      : toInt16Samples(buffer);
+
+  if (channels === MONO) {
+    return samples;
+  }
+
+  const mixed = new Int16Array(Math.floor(samples.length / channels));
+
+  mixed.forEach((_, index) => {
+    let sum = 0;
+
+    for (let channel = 0; channel < channels; channel++) {
+      sum += samples[index * channels + channel];
+    }
+
+    mixed[index] = sum / channels;
+  });
+
+  return mixed;
+}
+
+function prepareAudioConfig(audioConfig, { audioLevelMeter, audioRecorder, format, voiceActivityDetector }) {
   const originalAttach = audioConfig.attach;
   const boundOriginalAttach = audioConfig.attach.bind(audioConfig);
-  let firstChunk;
   let muted;
+  let soundDetected = false;
 
-  // We modify "attach" function and detect when audible chunk is read.
+  // We modify "attach" function and run voice activity detection, level metering, and recording on every chunk read.
   // We will only modify "attach" function once.
   audioConfig.attach = async () => {
     const reader = await boundOriginalAttach();
@@ -89,15 +246,21 @@ function prepareAudioConfig(audioConfig) {
       read: async () => {
         const chunk = await reader.read();
 
-        // The magic number 150 is measured by:
-        // 1. Set microphone volume to 0
-        // 2. Observe the amplitude (100-110) for the first few chunks
-        //    (There is a short static caught when turning on the microphone)
-        // 3. Set the number a bit higher than the observation
+        if (!muted && chunk.buffer && chunk.buffer.byteLength) {
+          const samples = toSamples(chunk.buffer, format || {});
+
+          audioRecorder && audioRecorder.push(chunk.buffer);
+          audioLevelMeter &&
+            audioLevelMeter
+              .process(samples)
+              .forEach(({ peak, rms }) => audioConfig.events.onEvent({ name: 'AudioLevelDetected', peak, rms }));
 
-        if (!firstChunk && averageAmplitude(chunk.buffer) > 150) {
-          audioConfig.events.onEvent({ name: 'FirstAudibleChunk' });
-          firstChunk = true;
+          const nextSoundDetected = !!voiceActivityDetector.process(samples);
+
+          if (nextSoundDetected !== soundDetected) {
+            soundDetected = nextSoundDetected;
+            audioConfig.events.onEvent({ name: soundDetected ? 'SoundStartDetected' : 'SoundEndDetected' });
+          }
         }
 
         if (muted) {
@@ -121,12 +284,32 @@ function prepareAudioConfig(audioConfig) {
 }
 
 export function createSpeechRecognitionPonyfillFromRecognizer({
+  audioLevelInterval,
+  captureAudio,
+  captureSessionAudio,
   createRecognizer,
+  createVoiceActivityDetector = createAdaptiveVoiceActivityDetector,
+  deviceId,
   enableTelemetry,
+  endSilenceTimeout,
+  fetchCredentials,
+  initialSilenceTimeout,
+  interpret,
   looseEvents,
+  mediaStream,
+  profanity,
+  pronunciationAssessment,
+  reconnect,
   referenceGrammars,
-  textNormalization
+  segmentationSilenceTimeout,
+  textNormalization,
+  wordLevelTimestamps
 }) {
+  validateProfanity(profanity);
+  pronunciationAssessment && validatePronunciationAssessment(pronunciationAssessment);
+
+  reconnect = reconnect && { ...DEFAULT_RECONNECT_POLICY, ...(reconnect === true ? {} : reconnect) };
+
   // If enableTelemetry is set to null or non-boolean, we will default to true.
   SpeechRecognizer.enableTelemetry(enableTelemetry !== false);
 
@@ -134,14 +317,30 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
     constructor() {
       super();
 
+      this._audioLevelInterval = audioLevelInterval;
+      this._captureAudio = captureAudio;
+      this._captureSessionAudio = captureSessionAudio;
       this._continuous = false;
+      this._deviceChangeListeners = [];
+      this._deviceId = deviceId;
+      this._endSilenceTimeout = endSilenceTimeout;
+      this._initialSilenceTimeout = initialSilenceTimeout;
       this._interimResults = false;
+      this._interpret = interpret;
       this._lang =
         typeof window !== 'undefined'
           ? window.document.documentElement.getAttribute('lang') || window.navigator.language
           : 'en-US';
       this._grammars = new SpeechGrammarList();
       this._maxAlternatives = 1;
+      this._mediaStream = mediaStream;
+      this._profanity = profanity;
+      this._pronunciationAssessment = pronunciationAssessment;
+      this._referenceGrammars = referenceGrammars;
+      this._segmentationSilenceTimeout = segmentationSilenceTimeout;
+
+      // Lifecycle of a recognition session: "idle" -> "starting" -> "listening" -> "stopping" -> "idle".
+      this._state = 'idle';
     }
 
     emitCognitiveServices(type, event) {
@@ -155,6 +354,30 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       );
     }
 
+    get audioLevelInterval() {
+      return this._audioLevelInterval;
+    }
+
+    set audioLevelInterval(value) {
+      this._audioLevelInterval = value;
+    }
+
+    get captureAudio() {
+      return this._captureAudio;
+    }
+
+    set captureAudio(value) {
+      this._captureAudio = value;
+    }
+
+    get captureSessionAudio() {
+      return this._captureSessionAudio;
+    }
+
+    set captureSessionAudio(value) {
+      this._captureSessionAudio = value;
+    }
+
     get continuous() {
       return this._continuous;
     }
@@ -163,6 +386,22 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       this._continuous = value;
     }
 
+    get deviceId() {
+      return this._deviceId;
+    }
+
+    set deviceId(value) {
+      this._deviceId = value;
+    }
+
+    get endSilenceTimeout() {
+      return this._endSilenceTimeout;
+    }
+
+    set endSilenceTimeout(value) {
+      this._endSilenceTimeout = value;
+    }
+
     get grammars() {
       return this._grammars;
     }
@@ -170,11 +409,21 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
     set grammars(value) {
       if (value instanceof SpeechGrammarList) {
         this._grammars = value;
+
+        this._handleGrammarsReplace && this._handleGrammarsReplace();
       } else {
         throw new Error(`The provided value is not of type 'SpeechGrammarList'`);
       }
     }
 
+    get initialSilenceTimeout() {
+      return this._initialSilenceTimeout;
+    }
+
+    set initialSilenceTimeout(value) {
+      this._initialSilenceTimeout = value;
+    }
+
     get interimResults() {
       return this._interimResults;
     }
@@ -183,6 +432,14 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       this._interimResults = value;
     }
 
+    get interpret() {
+      return this._interpret;
+    }
+
+    set interpret(value) {
+      this._interpret = value;
+    }
+
     get maxAlternatives() {
       return this._maxAlternatives;
     }
@@ -199,6 +456,50 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       this._lang = value;
     }
 
+    get mediaStream() {
+      return this._mediaStream;
+    }
+
+    set mediaStream(value) {
+      this._mediaStream = value;
+    }
+
+    get profanity() {
+      return this._profanity;
+    }
+
+    set profanity(value) {
+      validateProfanity(value);
+
+      this._profanity = value;
+    }
+
+    get pronunciationAssessment() {
+      return this._pronunciationAssessment;
+    }
+
+    set pronunciationAssessment(value) {
+      value && validatePronunciationAssessment(value);
+
+      this._pronunciationAssessment = value;
+    }
+
+    get referenceGrammars() {
+      return this._referenceGrammars;
+    }
+
+    set referenceGrammars(value) {
+      this._referenceGrammars = value;
+    }
+
+    get segmentationSilenceTimeout() {
+      return this._segmentationSilenceTimeout;
+    }
+
+    set segmentationSilenceTimeout(value) {
+      this._segmentationSilenceTimeout = value;
+    }
+
     get onaudioend() {
       return getEventAttributeValue(this, 'audioend');
     }
@@ -207,6 +508,14 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       setEventAttributeValue(this, 'audioend', value);
     }
 
+    get onaudiolevel() {
+      return getEventAttributeValue(this, 'audiolevel');
+    }
+
+    set onaudiolevel(value) {
+      setEventAttributeValue(this, 'audiolevel', value);
+    }
+
     get onaudiostart() {
       return getEventAttributeValue(this, 'audiostart');
     }
@@ -223,6 +532,23 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       setEventAttributeValue(this, 'cognitiveservices', value);
     }
 
+    get oncredentialsrefresh() {
+      return getEventAttributeValue(this, 'credentialsrefresh');
+    }
+
+    set oncredentialsrefresh(value) {
+      setEventAttributeValue(this, 'credentialsrefresh', value);
+    }
+
+    get ondevicechange() {
+      return getEventAttributeValue(this, 'devicechange');
+    }
+
+    set ondevicechange(value) {
+      setEventAttributeValue(this, 'devicechange', value);
+      this._updateDeviceChangeSubscription();
+    }
+
     get onend() {
       return getEventAttributeValue(this, 'end');
     }
@@ -239,6 +565,22 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       setEventAttributeValue(this, 'error', value);
     }
 
+    get onlanguagechange() {
+      return getEventAttributeValue(this, 'languagechange');
+    }
+
+    set onlanguagechange(value) {
+      setEventAttributeValue(this, 'languagechange', value);
+    }
+
+    get onreconnect() {
+      return getEventAttributeValue(this, 'reconnect');
+    }
+
+    set onreconnect(value) {
+      setEventAttributeValue(this, 'reconnect', value);
+    }
+
     get onresult() {
       return getEventAttributeValue(this, 'result');
     }
@@ -287,39 +629,373 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
       setEventAttributeValue(this, 'start', value);
     }
 
+    // Listeners of "devicechange" are tracked by listener and capture flag, same as how EventTarget tells them apart.
+    addEventListener(type, listener, options) {
+      if (type !== 'devicechange' || !listener) {
+        return super.addEventListener(type, listener, options);
+      }
+
+      const capture = getCaptureOption(options);
+
+      if (this._findDeviceChangeListener(listener, capture)) {
+        return;
+      }
+
+      const registration = { capture, listener, registeredListener: listener };
+
+      // EventTarget removes "once" listeners without calling removeEventListener(), we need to know when it fired.
+      if (options && options.once) {
+        registration.registeredListener = event => {
+          this._removeDeviceChangeListener(registration);
+
+          return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+        };
+      }
+
+      super.addEventListener(type, registration.registeredListener, options);
+
+      this._deviceChangeListeners.push(registration);
+      this._updateDeviceChangeSubscription();
+    }
+
+    removeEventListener(type, listener, options) {
+      if (type !== 'devicechange' || !listener) {
+        return super.removeEventListener(type, listener, options);
+      }
+
+      const registration = this._findDeviceChangeListener(listener, getCaptureOption(options));
+
+      super.removeEventListener(type, registration ? registration.registeredListener : listener, options);
+
+      registration && this._removeDeviceChangeListener(registration);
+    }
+
+    _findDeviceChangeListener(listener, capture) {
+      return this._deviceChangeListeners.find(
+        registration => registration.listener === listener && registration.capture === capture
+      );
+    }
+
+    _removeDeviceChangeListener(registration) {
+      this._deviceChangeListeners = this._deviceChangeListeners.filter(
+        otherRegistration => otherRegistration !== registration
+      );
+      this._updateDeviceChangeSubscription();
+    }
+
+    // We only listen to "devicechange" of the browser when someone is interested, so idle instances are not kept alive.
+    _updateDeviceChangeSubscription() {
+      const mediaDevices = typeof window !== 'undefined' && window.navigator.mediaDevices;
+
+      if (!mediaDevices || !mediaDevices.addEventListener) {
+        return;
+      }
+
+      const interested = !!(this._deviceChangeListeners.length || this.ondevicechange);
+
+      if (interested && !this._handleDeviceChange) {
+        this._handleDeviceChange = () => this.dispatchEvent(new SpeechRecognitionEvent('devicechange'));
+
+        mediaDevices.addEventListener('devicechange', this._handleDeviceChange);
+      } else if (!interested && this._handleDeviceChange) {
+        mediaDevices.removeEventListener('devicechange', this._handleDeviceChange);
+
+        this._handleDeviceChange = null;
+      }
+    }
+
     start() {
-      this._startOnce().catch(err => {
+      this._start('start');
+    }
+
+    // Runs a session over an audio file, events are dispatched as if the audio is coming from the microphone.
+    // Resolves with the list of final results after the "end" event.
+    async recognizeAudio(input) {
+      const { bitsPerSample, channels, samples, samplesPerSecond } = await decodeAudioToPCM(input);
+
+      // All audio is pushed at once, the recognizer will read it as fast as the service allows.
+      const audioSource = createPushAudioSource({ bitsPerSample, channels, highWaterMark: Infinity, samplesPerSecond });
+
+      audioSource.push(samples);
+      audioSource.end();
+
+      return await new Promise((resolve, reject) => {
+        let results = [];
+
+        const detach = () => {
+          this.removeEventListener('end', handleEnd);
+          this.removeEventListener('error', handleError);
+          this.removeEventListener('result', handleResult);
+        };
+
+        const handleEnd = () => {
+          detach();
+          resolve(Array.from(results).filter(({ isFinal }) => isFinal));
+        };
+
+        const handleError = ({ error, message }) => {
+          detach();
+          reject(error instanceof Error ? error : new Error(message || error));
+        };
+
+        const handleResult = event => {
+          results = event.results;
+        };
+
+        this.addEventListener('end', handleEnd);
+        this.addEventListener('error', handleError);
+        this.addEventListener('result', handleResult);
+
+        try {
+          this._start('recognizeAudio', { audioConfig: audioSource.audioConfig });
+        } catch (err) {
+          handleError({ error: err });
+        }
+      });
+    }
+
+    _start(methodName, options) {
+      if (this._state !== 'idle') {
+        throw new DOMException(
+          `Failed to execute '${methodName}' on 'SpeechRecognition': recognition has already started.`,
+          'InvalidStateError'
+        );
+      }
+
+      // The queue is created synchronously, so stop() and abort() called while we are still starting will be honored.
+      const queue = (this._queue = createPromiseQueue());
+
+      this._state = 'starting';
+
+      // Until the recognizer is created, we assume it can be stopped.
+      this._stoppable = true;
+
+      this._startOnce(queue, options).catch(err => {
+        this._queue = null;
+        this._state = 'idle';
+
         this.dispatchEvent(new ErrorEvent('error', { error: err, message: err && (err.stack || err.message) }));
       });
     }
 
-    async _startOnce() {
-      // TODO: [P2] Should check if recognition is active, we should not start recognition twice
-      const recognizer = await createRecognizer(this.lang);
+    // Without "stopContinuousRecognitionAsync", the recognizer cannot be stopped, stop() and abort() will be no-op.
+    abort() {
+      if ((this._state === 'starting' || this._state === 'listening') && this._stoppable) {
+        this._state = 'stopping';
+        this._queue.push({ abort: {} });
+      }
+    }
+
+    stop() {
+      if ((this._state === 'starting' || this._state === 'listening') && this._stoppable) {
+        this._state = 'stopping';
+        this._queue.push({ stop: {} });
+      }
+    }
 
-      const { pause, unprepare } = prepareAudioConfig(recognizer.audioConfig);
+    async _startOnce(queue, { audioConfig } = {}) {
+      const { captureAudio, captureSessionAudio, interpret } = this;
+      const audioRecorder = createAudioRecorder();
+      let connection;
+      let phrasesVersion = 0;
+      let reconnectTimeout;
+      let unsubscribeGrammars = () => {};
+
+      // Resolves phrases from grammars and applies them to the current recognizer.
+      // Speech SDK sends phrases to Speech Services at the start of every turn, changes will be effective from the next turn.
+      const applyPhrases = async () => {
+        const version = ++phrasesVersion;
+        const phrases = await this.grammars._resolvePhrases();
+
+        // If grammars changed again while resolving, only the latest phrases are applied.
+        if (version === phrasesVersion && connection) {
+          connection.phraseListGrammar.clear();
+          phrases.length && connection.phraseListGrammar.addPhrases(phrases);
+        }
+      };
+
+      // Changes to grammars during the session are applied live.
+      // Failures should not stop the session, phrases already applied will be kept.
+      const handleGrammarsChange = () => applyPhrases().catch(() => {});
+
+      const subscribeGrammars = () => {
+        unsubscribeGrammars();
+        unsubscribeGrammars = this.grammars._subscribe(handleGrammarsChange);
+      };
+
+      // Replacing the grammar list, say, with an empty one to clear all phrases, is also a change.
+      this._handleGrammarsReplace = () => {
+        subscribeGrammars();
+        handleGrammarsChange();
+      };
+
+      // Slices the audio of a final result from the recording.
+      // Offsets of results are relative to the audio read by the recognizer which recognized them, which could be gone.
+      const captureResultAudio = (result, { duration, offset }, recordingOffset) => {
+        if (captureAudio) {
+          result.audio = audioRecorder.toBlob(recordingOffset + offset, duration);
+
+          // Without capturing audio of the session, audio up to the end of this result is no longer needed.
+          captureSessionAudio || audioRecorder.discard(recordingOffset + offset + (duration || 0));
+        }
+      };
 
-      try {
-        const queue = createPromiseQueue();
-        let soundStarted;
-        let speechStarted;
-        let stopping;
+      // Interprets a recognizable final result, the interpretation will be set on the "result" event.
+      // Failing to interpret, or not interpreted in time, should not fail the recognition.
+      const interpretResult = async result => {
+        if (!interpret || !result[0].transcript) {
+          return {};
+        }
+
+        const lang = result.language || this.lang;
+        let timeout;
+
+        try {
+          const interpretation = await Promise.race([
+            interpret(result, { lang }),
+            new Promise(resolve => {
+              timeout = setTimeout(resolve, INTERPRET_TIMEOUT);
+            })
+          ]);
+
+          return {
+            emma:
+              interpretation &&
+              createEMMADocument({
+                confidence: result[0].confidence,
+                interpretation,
+                lang,
+                tokens: result[0].transcript
+              }),
+            interpretation
+          };
+        } catch (err) {
+          return {};
+        } finally {
+          clearTimeout(timeout);
+        }
+      };
+
+      // Creates a recognizer and starts recognition, events from the recognizer will be pushed into the queue.
+      // When reconnecting, a new recognizer will be created while the session carries on.
+      const connect = async () => {
+        const recognizer = await createRecognizer(this.lang, {
+          audioConfig,
+          deviceId: this.deviceId,
+          endSilenceTimeout: this.endSilenceTimeout,
+          initialSilenceTimeout: this.initialSilenceTimeout,
+          mediaStream: this.mediaStream,
+          profanity: this.profanity,
+          pronunciationAssessment: this.pronunciationAssessment,
+          segmentationSilenceTimeout: this.segmentationSilenceTimeout
+        });
+
+        // A custom "createRecognizer" could ignore the audio of the session and record from the microphone instead.
+        if (audioConfig && recognizer.audioConfig !== audioConfig) {
+          recognizer.dispose();
+
+          throw new Error(
+            'web-speech-cognitive-services: "createRecognizer" must create the recognizer with the "audioConfig" passed to it.'
+          );
+        }
+
+        const { audioLevelInterval } = this;
+
+        // Speech SDK returns the format as a Promise.
+        const format = await recognizer.audioConfig.format;
+
+        // Audio is only recorded if it is going to be captured.
+        const recording = captureAudio || captureSessionAudio;
+
+        recording && audioRecorder.setFormat(format);
+
+        const { pause, unprepare } = prepareAudioConfig(recognizer.audioConfig, {
+          audioLevelMeter:
+            audioLevelInterval &&
+            createAudioLevelMeter({ interval: audioLevelInterval, sampleRate: format && format.samplesPerSec }),
+          audioRecorder: recording && audioRecorder,
+          format,
+          voiceActivityDetector: createVoiceActivityDetector({ sampleRate: format && format.samplesPerSec })
+        });
+        let credentialsRefreshTimeout;
+        let disconnected;
+
+        // Tokens expire in the middle of long continuous sessions.
+        // New tokens are pushed into the live recognizer, which will use them when it reconnects to Speech Services.
+        const scheduleCredentialsRefresh = credentials => {
+          if (!fetchCredentials || !credentials.authorizationToken) {
+            return;
+          }
+
+          const delay = Math.max(getTokenRefreshTime(credentials) - Date.now(), MIN_CREDENTIALS_REFRESH_INTERVAL);
+
+          credentialsRefreshTimeout = setTimeout(async () => {
+            let error;
+            let nextCredentials = credentials;
+
+            try {
+              nextCredentials = await fetchCredentials();
+            } catch (err) {
+              // Keep the current token and try again later.
+              error = err;
+            }
+
+            if (!disconnected) {
+              error || (recognizer.authorizationToken = nextCredentials.authorizationToken);
+
+              this.dispatchEvent(
+                new SpeechRecognitionEvent('credentialsrefresh', {
+                  data: error ? { error } : { nextRefreshTime: getTokenRefreshTime(nextCredentials) }
+                })
+              );
+
+              scheduleCredentialsRefresh(nextCredentials);
+            }
+          }, delay);
+        };
+
+        // Lingering events from a disconnected recognizer should be ignored.
+        const push = event => disconnected || queue.push(event);
 
         const { detach: detachAudioConfigEvent } = recognizer.audioConfig.events.attach(event => {
           const { name } = event;
 
           if (name === 'AudioSourceReadyEvent') {
-            queue.push({ audioSourceReady: {} });
+            push({ audioSourceReady: {} });
           } else if (name === 'AudioSourceOffEvent') {
-            queue.push({ audioSourceOff: {} });
-          } else if (name === 'FirstAudibleChunk') {
-            queue.push({ firstAudibleChunk: {} });
+            push({ audioSourceOff: {} });
+          } else if (name === 'SoundStartDetected') {
+            push({ soundStart: {} });
+          } else if (name === 'SoundEndDetected') {
+            push({ soundEnd: {} });
+          } else if (name === 'AudioLevelDetected') {
+            push({ audioLevel: { peak: event.peak, rms: event.rms } });
           }
         });
 
-        recognizer.canceled = (_, { errorDetails, offset, reason, sessionId }) => {
-          queue.push({
+        // Offsets of results are relative to the audio read by this recognizer, but the recording spans the session.
+        const recordingOffset = audioRecorder.duration;
+
+        connection = {
+          disconnect: () => {
+            disconnected = true;
+
+            clearTimeout(credentialsRefreshTimeout);
+            detachAudioConfigEvent();
+            unprepare();
+            recognizer.dispose();
+          },
+          pause,
+          phraseListGrammar: PhraseListGrammar.fromRecognizer(recognizer),
+          recognizer
+        };
+
+        scheduleCredentialsRefresh({ authorizationToken: recognizer.authorizationToken });
+
+        recognizer.canceled = (_, { errorCode, errorDetails, offset, reason, sessionId }) => {
+          push({
             canceled: {
+              errorCode,
               errorDetails,
               offset,
               reason,
@@ -329,9 +1005,10 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
         };
 
         recognizer.recognized = (_, { offset, result, sessionId }) => {
-          queue.push({
+          push({
             recognized: {
               offset,
+              recordingOffset,
               result: serializeRecognitionResult(result),
               sessionId
             }
@@ -339,7 +1016,7 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
         };
 
         recognizer.recognizing = (_, { offset, result, sessionId }) => {
-          queue.push({
+          push({
             recognizing: {
               offset,
               result: serializeRecognitionResult(result),
@@ -349,55 +1026,109 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
         };
 
         recognizer.sessionStarted = (_, { sessionId }) => {
-          queue.push({ sessionStarted: { sessionId } });
+          push({ sessionStarted: { sessionId } });
         };
 
         recognizer.sessionStopped = (_, { sessionId }) => {
           // "sessionStopped" is never fired, probably because we are using startContinuousRecognitionAsync instead of recognizeOnceAsync.
-          queue.push({ sessionStopped: { sessionId } });
+          push({ sessionStopped: { sessionId } });
         };
 
         recognizer.speechStartDetected = (_, { offset, sessionId }) => {
-          queue.push({ speechStartDetected: { offset, sessionId } });
+          push({ speechStartDetected: { offset, sessionId } });
         };
 
         recognizer.speechEndDetected = (_, { sessionId }) => {
           // "speechEndDetected" is never fired, probably because we are using startContinuousRecognitionAsync instead of recognizeOnceAsync.
           // Update: "speechEndDetected" is fired for DLSpeech.listenOnceAsync()
-          queue.push({ speechEndDetected: { sessionId } });
+          push({ speechEndDetected: { sessionId } });
         };
 
-        const { phrases } = this.grammars;
+        const { referenceGrammars: sessionReferenceGrammars } = this;
 
-        // HACK: We are using the internal of SpeechRecognizer because they did not expose it
-        const { dynamicGrammar } = recognizer.privReco;
+        // HACK: Speech SDK does not expose reference grammars, we are using the internal of the recognizer.
+        sessionReferenceGrammars &&
+          sessionReferenceGrammars.length &&
+          recognizer.privReco.dynamicGrammar.addReferenceGrammar(sessionReferenceGrammars);
 
-        referenceGrammars && referenceGrammars.length && dynamicGrammar.addReferenceGrammar(referenceGrammars);
-        phrases && phrases.length && dynamicGrammar.addPhrase(phrases);
+        try {
+          await applyPhrases();
+        } catch (err) {
+          // Grammars failed to fetch or parse, recognition will not start.
+          return push({ badGrammar: { errorDetails: err && err.message } });
+        }
 
         await cognitiveServicesAsyncToPromise(recognizer.startContinuousRecognitionAsync.bind(recognizer))();
+      };
+
+      try {
+        let soundStarted;
+        let speechStarted;
+        let stopping;
+
+        subscribeGrammars();
+
+        await connect();
 
-        if (recognizer.stopContinuousRecognitionAsync) {
-          this.abort = () => queue.push({ abort: {} });
-          this.stop = () => queue.push({ stop: {} });
-        } else {
-          this.abort = this.stop = undefined;
+        this._stoppable = !!connection.recognizer.stopContinuousRecognitionAsync;
+
+        // If stop() or abort() was called while starting, we should stay in "stopping" state.
+        if (this._state === 'starting') {
+          this._state = 'listening';
         }
 
         let audioStarted;
         let finalEvent;
         let finalizedResults = [];
+        // Language detection starts from the language of the session, "languagechange" is only dispatched if it changed.
+        let language = this.lang;
+        const hypothesisStabilityEstimator = createHypothesisStabilityEstimator();
+        let reconnectAttempt = 0;
+        let soundDetected;
+
+        // Audio levels are measured as soon as audio is read, they should not be dispatched before "audiostart".
+        const dispatchAudioLevel = data =>
+          audioStarted && this.dispatchEvent(new SpeechRecognitionEvent('audiolevel', { data }));
+
+        // Disconnects the failed recognizer and reconnects after backoff. Returns false if reconnection is not possible.
+        const scheduleReconnect = errorDetails => {
+          if (!reconnect || !this.continuous || stopping || reconnectAttempt >= reconnect.maxAttempts) {
+            return false;
+          }
+
+          const delay = Math.min(
+            reconnect.initialDelay * Math.pow(reconnect.backoffFactor, reconnectAttempt),
+            reconnect.maxDelay
+          );
+
+          reconnectAttempt++;
+
+          connection && connection.disconnect();
+          connection = null;
+
+          this.dispatchEvent(
+            new SpeechRecognitionEvent('reconnect', { data: { attempt: reconnectAttempt, delay, errorDetails } })
+          );
+
+          reconnectTimeout = setTimeout(() => queue.push({ reconnect: { attempt: reconnectAttempt } }), delay);
+
+          return true;
+        };
 
         for (let loop = 0; !stopping || audioStarted; loop++) {
           const event = await queue.shift();
           const {
             abort,
+            audioLevel,
             audioSourceOff,
             audioSourceReady,
+            badGrammar,
             canceled,
-            firstAudibleChunk,
+            reconnect: reconnectEvent,
             recognized,
             recognizing,
+            soundEnd,
+            soundStart,
             stop
           } = event;
 
@@ -405,12 +1136,25 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
           Object.keys(event).forEach(name => this.emitCognitiveServices(name, event[name]));
 
           const errorMessage = canceled && canceled.errorDetails;
+          const error = errorMessage && cancellationToErrorCode(canceled);
+
+          if (badGrammar) {
+            // Similar to microphone not allowed, recognition never started and we should not emit "start" event.
+            finalEvent = {
+              error: 'bad-grammar',
+              errorDetails: badGrammar.errorDetails,
+              type: 'error'
+            };
 
-          if (/Permission\sdenied/u.test(errorMessage || '')) {
+            break;
+          } else if (error === 'not-allowed') {
             // If microphone is not allowed, we should not emit "start" event.
 
             finalEvent = {
-              error: 'not-allowed',
+              error,
+              errorCode: canceled.errorCode,
+              errorDetails: errorMessage,
+              sessionId: canceled.sessionId,
               type: 'error'
             };
 
@@ -422,23 +1166,26 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
           }
 
           if (errorMessage) {
-            if (/1006/u.test(errorMessage)) {
+            if (error === 'network') {
+              // Network errors in continuous mode are not fatal if reconnect is enabled.
+              if (scheduleReconnect(errorMessage)) {
+                continue;
+              }
+
               if (!audioStarted) {
                 this.dispatchEvent(new SpeechRecognitionEvent('audiostart'));
                 this.dispatchEvent(new SpeechRecognitionEvent('audioend'));
               }
-
-              finalEvent = {
-                error: 'network',
-                type: 'error'
-              };
-            } else {
-              finalEvent = {
-                error: 'unknown',
-                type: 'error'
-              };
             }
 
+            finalEvent = {
+              error,
+              errorCode: canceled.errorCode,
+              errorDetails: errorMessage,
+              sessionId: canceled.sessionId,
+              type: 'error'
+            };
+
             break;
           } else if (abort || stop) {
             if (abort) {
@@ -450,24 +1197,58 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
               // If we are aborting, we will ignore lingering recognizing/recognized events. But if we are stopping, we need them.
               stopping = 'abort';
             } else {
-              // When we pause, we will send { isEnd: true }, Speech Services will send us "recognized" event.
-              pause();
               stopping = 'stop';
             }
 
-            // Abort should not be dispatched without support of "stopContinuousRecognitionAsync".
-            // But for defensive purpose, we make sure "stopContinuousRecognitionAsync" is available before we can call.
-            if (abort && recognizer.stopContinuousRecognitionAsync) {
-              await cognitiveServicesAsyncToPromise(recognizer.stopContinuousRecognitionAsync.bind(recognizer))();
+            if (!connection) {
+              // We are waiting to reconnect, there is no recognizer to stop.
+              break;
+            } else if (stop) {
+              // When we pause, we will send { isEnd: true }, Speech Services will send us "recognized" event.
+              connection.pause();
+            } else if (connection.recognizer.stopContinuousRecognitionAsync) {
+              // Abort should not be dispatched without support of "stopContinuousRecognitionAsync".
+              // But for defensive purpose, we make sure "stopContinuousRecognitionAsync" is available before we can call.
+              await cognitiveServicesAsyncToPromise(
+                connection.recognizer.stopContinuousRecognitionAsync.bind(connection.recognizer)
+              )();
+            }
+          } else if (reconnectEvent) {
+            try {
+              await connect();
+            } catch (err) {
+              if (!scheduleReconnect(err && err.message)) {
+                finalEvent = {
+                  error: 'network',
+                  type: 'error'
+                };
+
+                break;
+              }
             }
           } else if (audioSourceReady) {
-            this.dispatchEvent(new SpeechRecognitionEvent('audiostart'));
+            // After reconnection, audio source will be ready again, but audio has already started for the session.
+            if (!audioStarted) {
+              this.dispatchEvent(new SpeechRecognitionEvent('audiostart'));
+
+              audioStarted = true;
+            }
+          } else if (soundStart) {
+            if (!soundStarted) {
+              this.dispatchEvent(new SpeechRecognitionEvent('soundstart'));
 
-            audioStarted = true;
-          } else if (firstAudibleChunk) {
-            this.dispatchEvent(new SpeechRecognitionEvent('soundstart'));
+              soundDetected = soundStarted = true;
+            }
+          } else if (soundEnd) {
+            // Sound went quiet in the middle of the session, speech cannot continue without sound.
+            if (soundStarted) {
+              speechStarted && this.dispatchEvent(new SpeechRecognitionEvent('speechend'));
+              this.dispatchEvent(new SpeechRecognitionEvent('soundend'));
 
-            soundStarted = true;
+              soundStarted = speechStarted = false;
+            }
+          } else if (audioLevel) {
+            dispatchAudioLevel(audioLevel);
           } else if (audioSourceOff) {
             // Looks like we don't need this line and all the tests are still working.
             // Guessing probably stopping is already truthy.
@@ -487,6 +1268,9 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
                 type: 'error'
               };
             } else if (recognized || recognizing) {
+              // The connection is healthy again, the next network error will start over with a full set of attempts.
+              reconnectAttempt = 0;
+
               if (!audioStarted) {
                 // Unconfirmed prevention of quirks
                 this.dispatchEvent(new SpeechRecognitionEvent('audiostart'));
@@ -494,13 +1278,15 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
                 audioStarted = true;
               }
 
-              if (!soundStarted) {
+              // If voice activity detection did not pick up any sound, we will assume there is sound.
+              if (!soundDetected) {
                 this.dispatchEvent(new SpeechRecognitionEvent('soundstart'));
 
-                soundStarted = true;
+                soundDetected = soundStarted = true;
               }
 
-              if (!speechStarted) {
+              // Results lagging behind a mid-session "soundend" should not restart speech.
+              if (soundStarted && !speechStarted) {
                 this.dispatchEvent(new SpeechRecognitionEvent('speechstart'));
 
                 speechStarted = true;
@@ -509,18 +1295,44 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
               if (recognized) {
                 const result = cognitiveServiceEventResultToWebSpeechRecognitionResultList(recognized.result, {
                   maxAlternatives: this.maxAlternatives,
-                  textNormalization
+                  textNormalization,
+                  wordLevelTimestamps
                 });
 
                 const recognizable = !!result[0].transcript;
 
+                // Hypotheses of the next utterance should not be compared against this utterance.
+                hypothesisStabilityEstimator.reset();
+
+                const interpreted = await interpretResult(result);
+
+                captureResultAudio(result, recognized.result, recognized.recordingOffset);
+
+                if (result.language && !isSameLanguage(result.language, language)) {
+                  language = result.language;
+
+                  this.dispatchEvent(
+                    new SpeechRecognitionEvent('languagechange', {
+                      data: {
+                        language,
+                        languageDetectionConfidence: recognized.result.languageDetectionConfidence
+                      }
+                    })
+                  );
+                }
+
+                // Index of the new result. If it is not recognizable, there is no new result and it will point past the last result.
+                const resultIndex = finalizedResults.length;
+
                 if (recognizable) {
                   finalizedResults = [...finalizedResults, result];
 
                   this.continuous &&
                     this.dispatchEvent(
                       new SpeechRecognitionEvent('result', {
-                        results: finalizedResults
+                        ...interpreted,
+                        resultIndex,
+                        results: new SpeechRecognitionResultList(finalizedResults)
                       })
                     );
                 }
@@ -530,13 +1342,17 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
                   finalEvent = null;
                 } else {
                   finalEvent = {
-                    results: finalizedResults,
+                    ...interpreted,
+                    resultIndex,
+                    results: new SpeechRecognitionResultList(finalizedResults),
                     type: 'result'
                   };
                 }
 
-                if (!this.continuous && recognizer.stopContinuousRecognitionAsync) {
-                  await cognitiveServicesAsyncToPromise(recognizer.stopContinuousRecognitionAsync.bind(recognizer))();
+                if (!this.continuous && connection.recognizer.stopContinuousRecognitionAsync) {
+                  await cognitiveServicesAsyncToPromise(
+                    connection.recognizer.stopContinuousRecognitionAsync.bind(connection.recognizer)
+                  )();
                 }
 
                 // If event order can be loosened, we can send the recognized event as soon as we receive it.
@@ -549,13 +1365,17 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
                 this.interimResults &&
                   this.dispatchEvent(
                     new SpeechRecognitionEvent('result', {
-                      results: [
+                      // Only the interim result after finalized results has changed.
+                      resultIndex: finalizedResults.length,
+                      results: new SpeechRecognitionResultList([
                         ...finalizedResults,
                         cognitiveServiceEventResultToWebSpeechRecognitionResultList(recognizing.result, {
+                          estimateStability: hypothesisStabilityEstimator.estimate,
                           maxAlternatives: this.maxAlternatives,
-                          textNormalization
+                          textNormalization,
+                          wordLevelTimestamps
                         })
-                      ]
+                      ])
                     })
                   );
               }
@@ -584,25 +1404,38 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
           }
 
           if (finalEvent.type === 'error') {
-            this.dispatchEvent(new ErrorEvent('error', finalEvent));
+            const { error, errorCode, errorDetails, sessionId } = finalEvent;
+            const errorEvent = new ErrorEvent('error', { error, message: errorDetails });
+
+            // Native ErrorEvent ignores unknown properties, details from Speech Services are set separately.
+            errorDetails && Object.assign(errorEvent, { errorCode, errorDetails, sessionId });
+
+            this.dispatchEvent(errorEvent);
           } else {
             this.dispatchEvent(new SpeechRecognitionEvent(finalEvent.type, finalEvent));
           }
         }
 
+        // We should be back to "idle" before "end" event, so start() can be called from the "end" event handler.
+        this._queue = null;
+        this._state = 'idle';
+
         // Even though there is no "start" event emitted, we will still emit "end" event
         // This is mainly for "microphone blocked" story.
-        this.dispatchEvent(new SpeechRecognitionEvent('end'));
-
-        detachAudioConfigEvent();
+        this.dispatchEvent(
+          new SpeechRecognitionEvent('end', captureSessionAudio ? { data: { audio: audioRecorder.toBlob() } } : {})
+        );
       } catch (err) {
         // Logging out the erorr because Speech SDK would fail silently.
         console.error(err);
 
         throw err;
       } finally {
-        unprepare();
-        recognizer.dispose();
+        clearTimeout(reconnectTimeout);
+        connection && connection.disconnect();
+        unsubscribeGrammars();
+
+        this._handleGrammarsReplace = null;
       }
     }
   }
@@ -614,22 +1447,33 @@ export function createSpeechRecognitionPonyfillFromRecognizer({
   };
 }
 
-export default options => {
+// Creates a ponyfill from options, the part common to every kind of recognizer.
+// "createRecognizer" is called with SpeechConfig and AudioConfig of the session, and returns a SpeechRecognizer or alike.
+export function createSpeechRecognitionPonyfillFromOptions(
+  options,
+  { createRecognizer: createRecognizerFromConfig, SpeechConfigClass = SpeechConfig }
+) {
   const {
-    audioConfig = AudioConfig.fromDefaultMicrophoneInput(),
+    audioConfig,
+    deviceId,
 
     // We set telemetry to true to honor the default telemetry settings of Speech SDK
     // https://github.com/Microsoft/cognitive-services-speech-sdk-js#data--telemetry
     enableTelemetry = true,
 
     fetchCredentials,
-    looseEvents,
-    referenceGrammars,
     speechRecognitionEndpointId,
-    textNormalization = 'display'
+    textNormalization = 'display',
+    wordLevelTimestamps = false,
+    ...otherOptions
   } = patchOptions(options);
 
-  if (!audioConfig && (!window.navigator.mediaDevices || !window.navigator.mediaDevices.getUserMedia)) {
+  const selectAudioConfig = createAudioConfigSelector({ audioConfig, deviceId });
+
+  if (
+    !selectAudioConfig({ deviceId }) &&
+    (!window.navigator.mediaDevices || !window.navigator.mediaDevices.getUserMedia)
+  ) {
     console.warn(
       'web-speech-cognitive-services: This browser does not support WebRTC and it will not work with Cognitive Services Speech Services.'
     );
@@ -637,41 +1481,54 @@ export default options => {
     return {};
   }
 
-  const createRecognizer = async lang => {
-    const { authorizationToken, region, speechRecognitionHostname, subscriptionKey } = await fetchCredentials();
-    let speechConfig;
+  const createRecognizer = async (
+    lang,
+    { audioConfig: sessionAudioConfig, deviceId, mediaStream, pronunciationAssessment, ...speechConfigOptions }
+  ) => {
+    const audioConfig = selectAudioConfig({ audioConfig: sessionAudioConfig, deviceId, mediaStream });
+    const speechConfig = createSpeechConfig(SpeechConfigClass, await fetchCredentials(), {
+      ...speechConfigOptions,
+      lang,
+      speechRecognitionEndpointId,
+      wordLevelTimestamps
+    });
+
+    return createRecognizerFromConfig(speechConfig, audioConfig, { pronunciationAssessment });
+  };
 
-    if (speechRecognitionHostname) {
-      const host = { hostname: speechRecognitionHostname, port: 443, protocol: 'wss:' };
+  return createSpeechRecognitionPonyfillFromRecognizer({
+    ...otherOptions,
+    createRecognizer,
+    deviceId,
+    enableTelemetry,
+    fetchCredentials,
+    textNormalization,
+    wordLevelTimestamps
+  });
+}
 
-      if (authorizationToken) {
-        speechConfig = SpeechConfig.fromHost(host);
-        speechConfig.authorizationToken = authorizationToken;
-      } else {
-        speechConfig = SpeechConfig.fromHost(host, subscriptionKey);
-      }
-    } else {
-      speechConfig = authorizationToken
-        ? SpeechConfig.fromAuthorizationToken(authorizationToken, region)
-        : SpeechConfig.fromSubscription(subscriptionKey, region);
-    }
+export default options => {
+  const { candidateLanguages, languageIdMode = 'atstart' } = options || {};
 
-    if (speechRecognitionEndpointId) {
-      speechConfig.endpointId = speechRecognitionEndpointId;
-    }
+  return createSpeechRecognitionPonyfillFromOptions(options, {
+    createRecognizer: (speechConfig, audioConfig, { pronunciationAssessment }) => {
+      let recognizer;
 
-    speechConfig.outputFormat = OutputFormat.Detailed;
-    speechConfig.speechRecognitionLanguage = lang || 'en-US';
+      if (candidateLanguages && candidateLanguages.length) {
+        const autoDetectSourceLanguageConfig = AutoDetectSourceLanguageConfig.fromLanguages(candidateLanguages);
 
-    return new SpeechRecognizer(speechConfig, audioConfig);
-  };
+        if (languageIdMode === 'continuous') {
+          autoDetectSourceLanguageConfig.mode = LanguageIdMode.Continuous;
+        }
 
-  return createSpeechRecognitionPonyfillFromRecognizer({
-    audioConfig,
-    createRecognizer,
-    enableTelemetry,
-    looseEvents,
-    referenceGrammars,
-    textNormalization
+        recognizer = SpeechRecognizer.FromConfig(speechConfig, autoDetectSourceLanguageConfig, audioConfig);
+      } else {
+        recognizer = new SpeechRecognizer(speechConfig, audioConfig);
+      }
+
+      pronunciationAssessment && createPronunciationAssessmentConfig(pronunciationAssessment).applyTo(recognizer);
+
+      return recognizer;
+    }
   });
 };
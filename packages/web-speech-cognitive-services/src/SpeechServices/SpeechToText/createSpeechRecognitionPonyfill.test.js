@@ -14,69 +14,177 @@ function createLoudArrayBuffer() {
 
 const LOUD_ARRAY_BUFFER = createLoudArrayBuffer();
 
-const MOCK_SPEECH_SDK = {
-  AudioConfig: {
-    fromDefaultMicrophoneInput: () => {
-      const eventHandlers = [];
-      const readResolves = [];
-      const onEvent = ({ name }) => eventHandlers.forEach(handler => handler({ name }));
+function createMockMicrophone(deviceId) {
+  const eventHandlers = [];
+  const readResolves = [];
+  const onEvent = event => eventHandlers.forEach(handler => handler(event));
 
-      return {
-        attach: async () => ({
-          read: () => {
-            const { promise, resolve } = createDeferred();
+  return {
+    attach: async () => ({
+      read: () => {
+        const { promise, resolve } = createDeferred();
 
-            readResolves.push(resolve);
+        readResolves.push(resolve);
 
-            return promise;
-          }
-        }),
-        emitEvent: name => onEvent({ name }),
-        emitRead: (buffer = LOUD_ARRAY_BUFFER) => {
-          // TODO: Rename "emitRead" to more meaningful name
-          readResolves.forEach(resolve => resolve({ buffer }));
-          readResolves.splice(0);
-        },
-        events: {
-          attach: handler => {
-            eventHandlers.push(handler);
-
-            return {
-              detach: () => eventHandlers.splice(eventHandlers.indexOf(handler), 1)
-            };
-          },
-          onEvent
-        }
-      };
+        return promise;
+      }
+    }),
+    deviceId,
+    emitEvent: name => onEvent({ name }),
+    emitRead: (buffer = LOUD_ARRAY_BUFFER) => {
+      // TODO: Rename "emitRead" to more meaningful name
+      readResolves.forEach(resolve => resolve({ buffer }));
+      readResolves.splice(0);
+    },
+    events: {
+      attach: handler => {
+        eventHandlers.push(handler);
+
+        return {
+          detach: () => eventHandlers.splice(eventHandlers.indexOf(handler), 1)
+        };
+      },
+      onEvent
     }
+  };
+}
+
+const MOCK_SPEECH_SDK = {
+  AudioConfig: {
+    fromDefaultMicrophoneInput: () => createMockMicrophone(),
+    fromMicrophoneInput: deviceId => createMockMicrophone(deviceId),
+    fromStreamInput: audioStream =>
+      Object.assign(createMockMicrophone(), { audioStream, format: Promise.resolve(audioStream.format) })
+  },
+  AudioInputStream: {
+    createPushStream: format => ({
+      chunks: [],
+      close() {
+        this.closed = true;
+      },
+      format,
+      write(chunk) {
+        this.chunks.push(chunk);
+      }
+    })
+  },
+  AudioStreamFormat: {
+    getWaveFormatPCM: (samplesPerSec, bitsPerSample, channels) => ({ bitsPerSample, channels, samplesPerSec })
+  },
+  AutoDetectSourceLanguageConfig: {
+    fromLanguages: languages => ({ languages })
+  },
+  CancellationErrorCode: {
+    NoError: 0,
+    AuthenticationFailure: 1,
+    BadRequestParameters: 2,
+    TooManyRequests: 3,
+    ConnectionFailure: 4,
+    ServiceTimeout: 5,
+    ServiceError: 6,
+    RuntimeError: 7,
+    Forbidden: 8
+  },
+  LanguageIdMode: {
+    AtStart: 0,
+    Continuous: 1
   },
   OutputFormat: {
     Detailed: 'DETAILED'
   },
+  PhraseListGrammar: {
+    fromRecognizer: recognizer => recognizer.phraseListGrammar
+  },
+  ProfanityOption: {
+    Masked: 0,
+    Removed: 1,
+    Raw: 2
+  },
+  PronunciationAssessmentConfig: class {
+    constructor(referenceText, gradingSystem, granularity, enableMiscue) {
+      this.enableMiscue = enableMiscue;
+      this.gradingSystem = gradingSystem;
+      this.granularity = granularity;
+      this.referenceText = referenceText;
+    }
+
+    applyTo(recognizer) {
+      recognizer.pronunciationAssessmentConfig = this;
+    }
+  },
+  PronunciationAssessmentGradingSystem: {
+    FivePoint: 1,
+    HundredMark: 2
+  },
+  PronunciationAssessmentGranularity: {
+    Phoneme: 1,
+    Word: 2,
+    FullText: 3
+  },
+  PropertyId: {
+    SpeechServiceConnection_InitialSilenceTimeoutMs: 'SpeechServiceConnection_InitialSilenceTimeoutMs',
+    SpeechServiceConnection_EndSilenceTimeoutMs: 'SpeechServiceConnection_EndSilenceTimeoutMs',
+    Speech_SegmentationSilenceTimeoutMs: 'Speech_SegmentationSilenceTimeoutMs'
+  },
   ResultReason: {
     NoMatch: 0,
     Canceled: 1,
     RecognizingSpeech: 2,
-    RecognizedSpeech: 3
+    RecognizedSpeech: 3,
+    TranslatingSpeech: 7,
+    TranslatedSpeech: 8
   },
   SpeechConfig: {
+    fromAuthorizationToken: (authorizationToken, region) => ({
+      authorizationToken,
+      region,
+      requestWordLevelTimestamps: jest.fn(),
+      setProfanity: jest.fn(),
+      setProperty: jest.fn()
+    }),
+    fromSubscription: (subscriptionKey, region) => ({
+      region,
+      requestWordLevelTimestamps: jest.fn(),
+      setProfanity: jest.fn(),
+      setProperty: jest.fn(),
+      subscriptionKey
+    })
+  },
+  SpeechTranslationConfig: {
     fromSubscription: (subscriptionKey, region) => ({
+      addTargetLanguage: jest.fn(),
       region,
+      requestWordLevelTimestamps: jest.fn(),
+      setProfanity: jest.fn(),
+      setProperty: jest.fn(),
       subscriptionKey
     })
   },
   SpeechRecognizer: class {
+    static FromConfig(speechConfig, autoDetectSourceLanguageConfig, audioConfig) {
+      const recognizer = new this(speechConfig, audioConfig);
+
+      recognizer.autoDetectSourceLanguageConfig = autoDetectSourceLanguageConfig;
+
+      return recognizer;
+    }
+
     constructor(speechConfig, audioConfig) {
       this.audioConfig = audioConfig;
+      this.authorizationToken = speechConfig.authorizationToken;
       this.speechConfig = speechConfig;
       this.canceled = this.recognized = this.recognizing = () => {};
 
       this.callStartContinuousRecognitionAsyncDeferred = createDeferred();
       this.callStopContinuousRecognitionAsyncDeferred = createDeferred();
 
+      this.phraseListGrammar = {
+        addPhrases: jest.fn(),
+        clear: jest.fn()
+      };
+
       this.privReco = {
         dynamicGrammar: {
-          addPhrase: jest.fn(),
           addReferenceGrammar: jest.fn()
         }
       };
@@ -128,10 +236,15 @@ function createRecognizingEvent(text, { duration = 1, offset = 0 } = {}) {
   };
 }
 
-function createRecognizedEvent(text, { confidence = 0.9, duration = 1, itn, lexical, maskedITN, offset = 0 } = {}) {
+function createRecognizedEvent(
+  text,
+  { confidence = 0.9, duration = 1, itn, language, lexical, maskedITN, offset = 0 } = {}
+) {
   return {
     result: {
       duration,
+      language,
+      languageDetectionConfidence: language && 'High',
       json: JSON.stringify({
         Duration: duration,
         Offset: offset,
@@ -158,6 +271,8 @@ const SPEECH_EVENTS = [
   'cognitiveservices',
   'end',
   'error',
+  'languagechange',
+  'reconnect',
   'result',
   'soundend',
   'soundstart',
@@ -192,9 +307,15 @@ function toSnapshot(events) {
         case 'error':
           return `webspeech:error { error: '${event.error}' }`;
 
+        case 'languagechange':
+          return `webspeech:languagechange { language: '${event.data.language}' }`;
+
+        case 'reconnect':
+          return `webspeech:reconnect { attempt: ${event.data.attempt}, delay: ${event.data.delay} }`;
+
         case 'result':
-          return `webspeech:result [${event.results
-            .map(results =>
+          return `webspeech:result [${[].map
+            .call(event.results, results =>
               [].map.call(results, ({ transcript }) => `'${transcript}'${results.isFinal ? ' (isFinal)' : ''}`)
             )
             .join(', ')}]`;
@@ -220,15 +341,29 @@ beforeEach(() => {
   warnings = [];
 
   jest.resetModules();
-  jest.setMock('../SpeechSDK', {
-    ...MOCK_SPEECH_SDK,
-    SpeechRecognizer: class extends MOCK_SPEECH_SDK.SpeechRecognizer {
-      constructor(...args) {
-        super(...args);
+  class SpeechRecognizer extends MOCK_SPEECH_SDK.SpeechRecognizer {
+    constructor(...args) {
+      super(...args);
 
-        constructRecognizerDeferred.resolve(this);
-      }
+      constructRecognizerDeferred.resolve(this);
+    }
+  }
+
+  class ConversationTranscriber extends SpeechRecognizer {
+    startTranscribingAsync(...args) {
+      return super.startContinuousRecognitionAsync(...args);
     }
+
+    stopTranscribingAsync(...args) {
+      return super.stopContinuousRecognitionAsync(...args);
+    }
+  }
+
+  jest.setMock('../SpeechSDK', {
+    ...MOCK_SPEECH_SDK,
+    ConversationTranscriber,
+    SpeechRecognizer,
+    TranslationRecognizer: SpeechRecognizer
   });
 
   global.ErrorEvent = class {
@@ -253,7 +388,9 @@ beforeEach(() => {
     },
     navigator: {
       mediaDevices: {
-        getUserMedia: () => {}
+        addEventListener: () => {},
+        getUserMedia: () => {},
+        removeEventListener: () => {}
       }
     }
   };
@@ -295,7 +432,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -307,7 +444,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello world'));
@@ -341,7 +478,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -353,7 +490,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello'));
@@ -392,7 +529,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -438,7 +575,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -450,7 +587,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognized(this, createRecognizedEvent(''));
@@ -504,7 +641,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -536,7 +673,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -548,7 +685,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       speechRecognition.stop();
@@ -575,7 +712,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -587,7 +724,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello'));
@@ -641,7 +778,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
 
@@ -673,7 +810,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
 
@@ -684,7 +821,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       speechRecognition.abort();
@@ -712,7 +849,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
 
@@ -723,7 +860,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello'));
@@ -758,7 +895,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -772,7 +909,7 @@ describe('SpeechRecognition', () => {
 
       speechRecognition.abort();
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello'));
@@ -802,7 +939,7 @@ describe('SpeechRecognition', () => {
           "cognitiveservices:audioSourceReady",
           "webspeech:start",
           "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
+          "cognitiveservices:soundStart",
           "webspeech:soundstart",
           "cognitiveservices:abort",
           "cognitiveservices:recognizing",
@@ -828,7 +965,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -840,7 +977,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognized(this, createRecognizedEvent(''));
@@ -875,7 +1012,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -887,7 +1024,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello'));
@@ -922,7 +1059,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -934,7 +1071,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello'));
@@ -980,7 +1117,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -992,7 +1129,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognizing(this, createRecognizingEvent('hello world'));
@@ -1028,7 +1165,7 @@ describe('SpeechRecognition', () => {
 
       await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // This will fire "firstAudibleChunk" on "emitRead"
+      // This will fire "soundStart" on "emitRead"
       await recognizer.readAudioChunk();
 
       recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -1040,7 +1177,7 @@ describe('SpeechRecognition', () => {
       recognizer.audioConfig.emitRead();
       await soundStartEmitted;
 
-      // cognitiveservices:firstAudibleChunk
+      // cognitiveservices:soundStart
       // webspeech:soundstart
 
       recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
@@ -1068,6 +1205,159 @@ describe('SpeechRecognition', () => {
     });
   });
 
+  describe('lifecycle', () => {
+    test('start twice should throw InvalidStateError', async () => {
+      speechRecognition.start();
+
+      expect(() => speechRecognition.start()).toThrow(expect.objectContaining({ name: 'InvalidStateError' }));
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      expect(() => speechRecognition.start()).toThrow(expect.objectContaining({ name: 'InvalidStateError' }));
+
+      speechRecognition.abort();
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:abort",
+          "webspeech:start",
+          "webspeech:error { error: 'aborted' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('stop and abort before start should be no-op', () => {
+      expect(() => {
+        speechRecognition.stop();
+        speechRecognition.abort();
+      }).not.toThrow();
+
+      expect(events).toEqual([]);
+    });
+
+    test('stop after abort should be no-op', async () => {
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      speechRecognition.abort();
+      speechRecognition.stop();
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:abort",
+          "webspeech:start",
+          "webspeech:error { error: 'aborted' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('stop and abort should be restored after a session with a recognizer which cannot be stopped', async () => {
+      const { createSpeechRecognitionPonyfillFromRecognizer } = require('./createSpeechRecognitionPonyfill');
+      const { SpeechRecognizer } = require('../SpeechSDK');
+      let numRecognizers = 0;
+
+      const { SpeechRecognition } = createSpeechRecognitionPonyfillFromRecognizer({
+        createRecognizer: async () => {
+          const recognizer = new SpeechRecognizer({}, createMockMicrophone());
+
+          numRecognizers++ || (recognizer.stopContinuousRecognitionAsync = undefined);
+
+          return recognizer;
+        }
+      });
+
+      const speechRecognition = new SpeechRecognition();
+      const events = captureSpeechEvents(speechRecognition);
+      let endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve, { once: true }));
+
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      const startEventEmitted = new Promise(resolve => speechRecognition.addEventListener('start', resolve));
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      await startEventEmitted;
+
+      speechRecognition.abort();
+      speechRecognition.stop();
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      await endEventEmitted;
+
+      constructRecognizerDeferred = createDeferred();
+      endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve, { once: true }));
+
+      speechRecognition.start();
+
+      const nextRecognizer = await constructRecognizerDeferred.promise;
+
+      await nextRecognizer.waitForStartContinuousRecognitionAsync();
+
+      speechRecognition.abort();
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:audioend",
+          "webspeech:end",
+          "cognitiveservices:abort",
+          "webspeech:start",
+          "webspeech:error { error: 'aborted' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('start from "end" event handler should start a new session', async () => {
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      constructRecognizerDeferred = createDeferred();
+
+      const restartedPromise = new Promise((resolve, reject) =>
+        speechRecognition.addEventListener('end', () => {
+          try {
+            speechRecognition.start();
+            resolve();
+          } catch (err) {
+            reject(err);
+          }
+        })
+      );
+
+      speechRecognition.abort();
+
+      await restartedPromise;
+
+      const nextRecognizer = await constructRecognizerDeferred.promise;
+
+      expect(nextRecognizer).not.toBe(recognizer);
+    });
+  });
+
   test('with network error', async () => {
     speechRecognition.start();
 
@@ -1137,8 +1427,66 @@ describe('SpeechRecognition', () => {
 
     await recognizer.waitForStartContinuousRecognitionAsync();
 
-    expect(recognizer.privReco.dynamicGrammar.addPhrase).toHaveBeenCalledTimes(1);
-    expect(recognizer.privReco.dynamicGrammar.addPhrase).toHaveBeenCalledWith(['Bellevue']);
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledTimes(1);
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledWith(['Bellevue']);
+  });
+
+  test('with JSGF grammars', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    let speechRecognition = new SpeechRecognition();
+
+    speechRecognition.grammars.addFromString('#JSGF V1.0; grammar cities; public <city> = Bellevue | Redmond;');
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledTimes(1);
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledWith(['Bellevue', 'Redmond']);
+  });
+
+  test('with grammars failed to fetch should emit "bad-grammar" error', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async () => ({ ok: false, status: 404 }));
+
+    try {
+      const speechRecognition = new SpeechRecognition();
+      const events = captureSpeechEvents(speechRecognition);
+      const errorEventEmitted = new Promise(resolve => speechRecognition.addEventListener('error', resolve));
+      const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+
+      speechRecognition.grammars.addFromURI('https://example.com/cities.jsgf');
+      speechRecognition.start();
+
+      const [{ message }] = await Promise.all([errorEventEmitted, endEventEmitted]);
+
+      expect(message).toContain('server returned 404');
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:badGrammar",
+          "webspeech:error { error: 'bad-grammar' }",
+          "webspeech:end",
+        ]
+      `);
+    } finally {
+      fetchSpy.mockRestore();
+    }
   });
 
   test('with reference grammars', async () => {
@@ -1166,6 +1514,33 @@ describe('SpeechRecognition', () => {
     ]);
   });
 
+  test('with reference grammars per instance', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      referenceGrammars: ['12345678-1234-5678-abcd-12345678abcd']
+    });
+
+    let speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('referenceGrammars', ['12345678-1234-5678-abcd-12345678abcd']);
+
+    speechRecognition.referenceGrammars = ['87654321-4321-8765-dcba-dcba87654321'];
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    expect(recognizer.privReco.dynamicGrammar.addReferenceGrammar).toHaveBeenCalledTimes(1);
+    expect(recognizer.privReco.dynamicGrammar.addReferenceGrammar).toHaveBeenCalledWith([
+      '87654321-4321-8765-dcba-dcba87654321'
+    ]);
+  });
+
   test('with new SpeechGrammarList', async () => {
     const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
     const { SpeechGrammarList, SpeechRecognition } = createSpeechRecognitionPonyfill({
@@ -1230,7 +1605,7 @@ describe('SpeechRecognition with text normalization', () => {
 
     await recognizer.waitForStartContinuousRecognitionAsync();
 
-    // This will fire "firstAudibleChunk" on "emitRead"
+    // This will fire "soundStart" on "emitRead"
     await recognizer.readAudioChunk();
 
     recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -1242,7 +1617,7 @@ describe('SpeechRecognition with text normalization', () => {
     recognizer.audioConfig.emitRead();
     await soundStartEmitted;
 
-    // cognitiveservices:firstAudibleChunk
+    // cognitiveservices:soundStart
     // webspeech:soundstart
 
     recognizer.recognized(this, { result: RECOGNITION_RESULT });
@@ -1287,7 +1662,7 @@ describe('SpeechRecognition with text normalization', () => {
 
     await recognizer.waitForStartContinuousRecognitionAsync();
 
-    // This will fire "firstAudibleChunk" on "emitRead"
+    // This will fire "soundStart" on "emitRead"
     await recognizer.readAudioChunk();
 
     recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -1299,7 +1674,7 @@ describe('SpeechRecognition with text normalization', () => {
     recognizer.audioConfig.emitRead();
     await soundStartEmitted;
 
-    // cognitiveservices:firstAudibleChunk
+    // cognitiveservices:soundStart
     // webspeech:soundstart
 
     recognizer.recognized(this, { result: RECOGNITION_RESULT });
@@ -1344,7 +1719,7 @@ describe('SpeechRecognition with text normalization', () => {
 
     await recognizer.waitForStartContinuousRecognitionAsync();
 
-    // This will fire "firstAudibleChunk" on "emitRead"
+    // This will fire "soundStart" on "emitRead"
     await recognizer.readAudioChunk();
 
     recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
@@ -1356,7 +1731,7 @@ describe('SpeechRecognition with text normalization', () => {
     recognizer.audioConfig.emitRead();
     await soundStartEmitted;
 
-    // cognitiveservices:firstAudibleChunk
+    // cognitiveservices:soundStart
     // webspeech:soundstart
 
     recognizer.recognized(this, { result: RECOGNITION_RESULT });
@@ -1399,533 +1774,2443 @@ describe('SpeechRecognition with Custom Speech', () => {
 
     expect(recognizer.speechConfig).toHaveProperty('endpointId', '12345678-1234-5678-abcd-12345678abcd');
   });
-});
 
-describe('SpeechRecognition with telemetry', () => {
-  test('disabled', async () => {
+  test('should set up SpeechConfig with endpoint ID of the language', async () => {
     const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
     const { SpeechRecognition } = createSpeechRecognitionPonyfill({
-      enableTelemetry: false,
       credentials: {
         region: 'westus',
         subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      speechRecognitionEndpointId: {
+        'en-GB': '00000000-0000-0000-0000-00000000e19b',
+        'sv-SE': '00000000-0000-0000-0000-000000005e5e'
       }
     });
 
     const speechRecognition = new SpeechRecognition();
 
+    speechRecognition.lang = 'sv-se';
     speechRecognition.start();
 
-    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledTimes(1);
-    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledWith(false);
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig).toHaveProperty('endpointId', '00000000-0000-0000-0000-000000005e5e');
+    expect(recognizer.speechConfig).toHaveProperty('speechRecognitionLanguage', 'sv-se');
   });
 
-  test('enabled', async () => {
+  test('should use base model if the language is not in the map', async () => {
     const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
     const { SpeechRecognition } = createSpeechRecognitionPonyfill({
-      enableTelemetry: true,
       credentials: {
         region: 'westus',
         subscriptionKey: 'SUBSCRIPTION_KEY'
-      }
+      },
+      speechRecognitionEndpointId: { 'sv-SE': '00000000-0000-0000-0000-000000005e5e' }
     });
 
     const speechRecognition = new SpeechRecognition();
 
+    speechRecognition.lang = 'en-US';
     speechRecognition.start();
 
-    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledTimes(1);
-    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledWith(true);
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig).not.toHaveProperty('endpointId');
   });
 });
 
-describe('SpeechRecognition with loosened events', () => {
-  let endEventEmitted;
-  let errorEventEmitted;
-  let events;
-  let speechRecognition;
-  let soundStartEmitted;
-
-  beforeEach(async () => {
+describe('SpeechRecognition with word level timestamps', () => {
+  test('should request word level timestamps and return words', async () => {
     const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
     const { SpeechRecognition } = createSpeechRecognitionPonyfill({
       credentials: {
         region: 'westus',
         subscriptionKey: 'SUBSCRIPTION_KEY'
       },
-      looseEvents: true
+      wordLevelTimestamps: true
     });
 
-    speechRecognition = new SpeechRecognition();
-    events = captureSpeechEvents(speechRecognition);
-    endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
-    errorEventEmitted = new Promise(resolve => speechRecognition.addEventListener('error', resolve));
-    soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
-  });
+    const speechRecognition = new SpeechRecognition();
+    const resultEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
 
-  describe('in interactive mode', () => {
-    test('without interims', async () => {
-      speechRecognition.start();
+    speechRecognition.start();
 
-      const recognizer = await constructRecognizerDeferred.promise;
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    expect(recognizer.speechConfig.requestWordLevelTimestamps).toHaveBeenCalledTimes(1);
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, {
+      result: {
+        duration: 10000000,
+        json: JSON.stringify({
+          Duration: 10000000,
+          NBest: [
+            {
+              Confidence: 0.9,
+              Display: 'Hello, World!',
+              ITN: 'hello world',
+              Lexical: 'hello world',
+              MaskedITN: 'hello world',
+              Words: [
+                { Confidence: 0.95, Duration: 4000000, Offset: 1000000, Word: 'hello' },
+                { Confidence: 0.85, Duration: 5000000, Offset: 5000000, Word: 'world' }
+              ]
+            }
+          ],
+          Offset: 1000000
+        }),
+        offset: 1000000,
+        reason: 3,
+        text: 'Hello, World!'
+      }
+    });
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+    const { results } = await resultEmitted;
 
-      recognizer.audioConfig.emitRead();
-      await soundStartEmitted;
+    expect(results[0]).toHaveProperty('duration', 10000000);
+    expect(results[0]).toHaveProperty('offset', 1000000);
+    expect(results[0][0].words).toEqual([
+      { confidence: 0.95, duration: 4000000, offset: 1000000, text: 'hello' },
+      { confidence: 0.85, duration: 5000000, offset: 5000000, text: 'world' }
+    ]);
+  });
+});
 
-      // cognitiveservices:firstAudibleChunk
-      // webspeech:soundstart
+describe('SpeechRecognition with candidate languages', () => {
+  test('should detect language in continuous mode', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      candidateLanguages: ['sv-SE', 'en-US', 'fi-FI'],
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      languageIdMode: 'continuous'
+    });
 
-      recognizer.recognizing(this, createRecognizingEvent('hello world'));
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      // cognitiveservices:recognizing
-      // webspeech:speechstart
+    speechRecognition.continuous = true;
+    speechRecognition.start();
 
-      recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      // cognitiveservices:recognized
-      // webspeech:result ["Hello, World!" (isFinal)]
+    expect(recognizer.autoDetectSourceLanguageConfig).toEqual({
+      languages: ['sv-SE', 'en-US', 'fi-FI'],
+      mode: 1
+    });
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:speechend
-      // webspeech:soundend
-      // webspeech:audioend
-      // webspeech:end
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Hej.', { language: 'sv-SE' }));
+    recognizer.recognized(this, createRecognizedEvent('Hallå.', { language: 'sv-SE' }));
+    recognizer.recognized(this, createRecognizedEvent('Hello.', { language: 'en-US' }));
 
-      await endEventEmitted;
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
-          "webspeech:soundstart",
-          "cognitiveservices:recognizing",
-          "webspeech:speechstart",
-          "cognitiveservices:recognized",
-          "webspeech:result ['Hello, World!' (isFinal)]",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:speechend",
-          "webspeech:soundend",
-          "webspeech:audioend",
-          "webspeech:end",
-        ]
-      `);
+    await endEventEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:languagechange { language: 'sv-SE' }",
+        "webspeech:result ['Hej.' (isFinal)]",
+        "webspeech:result ['Hej.' (isFinal), 'Hallå.' (isFinal)]",
+        "webspeech:languagechange { language: 'en-US' }",
+        "webspeech:result ['Hej.' (isFinal), 'Hallå.' (isFinal), 'Hello.' (isFinal)]",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:end",
+      ]
+    `);
+
+    const { results } = events.filter(({ type }) => type === 'result').pop();
+
+    expect(Array.from(results, ({ language }) => language)).toEqual(['sv-SE', 'sv-SE', 'en-US']);
+  });
+
+  test('should not dispatch "languagechange" if the detected language is the language of the session', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      candidateLanguages: ['sv-SE', 'en-US'],
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      languageIdMode: 'continuous'
     });
 
-    test('with interims', async () => {
-      speechRecognition.interimResults = true;
-      speechRecognition.start();
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      const recognizer = await constructRecognizerDeferred.promise;
+    speechRecognition.continuous = true;
+    speechRecognition.lang = 'en-US';
+    speechRecognition.start();
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Hello.', { language: 'en-US' }));
+    recognizer.recognized(this, createRecognizedEvent('Hej.', { language: 'sv-SE' }));
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      recognizer.audioConfig.emitRead();
-      await soundStartEmitted;
+    await endEventEmitted;
 
-      // cognitiveservices:firstAudibleChunk
-      // webspeech:soundstart
+    expect(events.filter(({ type }) => type === 'languagechange').map(({ data: { language } }) => language)).toEqual([
+      'sv-SE'
+    ]);
+  });
+});
 
-      recognizer.recognizing(this, createRecognizingEvent('hello'));
+describe('SpeechRecognition with result list', () => {
+  test('should set resultIndex to the first changed result in continuous mode with interims', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
 
-      // cognitiveservices:recognizing
-      // webspeech:speechstart
-      // webspeech:result ["hello"]
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      recognizer.recognizing(this, createRecognizingEvent('hello world'));
+    speechRecognition.continuous = true;
+    speechRecognition.interimResults = true;
+    speechRecognition.start();
 
-      // cognitiveservices:recognizing
-      // webspeech:result ["hello world"]
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // cognitiveservices:recognized
-      // webspeech:result ["Hello, World!" (isFinal)]
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognizing(this, createRecognizingEvent('hello'));
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.recognizing(this, createRecognizingEvent('world'));
+    recognizer.recognized(this, createRecognizedEvent('World.'));
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:speechend
-      // webspeech:soundend
-      // webspeech:audioend
-      // webspeech:end
+    await endEventEmitted;
 
-      await endEventEmitted;
+    const resultEvents = events.filter(({ type }) => type === 'result');
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
-          "webspeech:soundstart",
-          "cognitiveservices:recognizing",
-          "webspeech:speechstart",
-          "webspeech:result ['hello']",
-          "cognitiveservices:recognizing",
-          "webspeech:result ['hello world']",
-          "cognitiveservices:recognized",
-          "webspeech:result ['Hello, World!' (isFinal)]",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:speechend",
-          "webspeech:soundend",
-          "webspeech:audioend",
-          "webspeech:end",
-        ]
-      `);
+    expect(resultEvents.map(({ resultIndex }) => resultIndex)).toEqual([0, 0, 1, 1]);
+
+    const { results } = resultEvents.pop();
+
+    expect(results).toHaveLength(2);
+    expect(results.item(1)).toBe(results[1]);
+    expect(results.item(2)).toBeNull();
+    expect(Array.from(results, result => [result.isFinal, result.item(0).transcript])).toEqual([
+      [true, 'Hello.'],
+      [true, 'World.']
+    ]);
+  });
+});
+
+describe('SpeechRecognition with interim confidence', () => {
+  test('should estimate confidence of interim results from stability of hypotheses', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
     });
 
-    test('with muted microphone', async () => {
-      speechRecognition.start();
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      const recognizer = await constructRecognizerDeferred.promise;
+    speechRecognition.continuous = true;
+    speechRecognition.interimResults = true;
+    speechRecognition.start();
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognizing(this, createRecognizingEvent('hello'));
+    recognizer.recognizing(this, createRecognizingEvent('hello world'));
+    recognizer.recognized(this, createRecognizedEvent('Hello world.'));
+    recognizer.recognizing(this, createRecognizingEvent('hello'));
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      recognizer.audioConfig.emitRead([0x00, 0x00]);
+    await endEventEmitted;
 
-      recognizer.recognized(this, {
-        offset: 50000000,
-        result: {
-          duration: 0,
-          json: JSON.stringify({
-            RecognitionStatus: 'InitialSilenceTimeout',
-            Offset: 50000000,
-            Duration: 0
-          }),
-          offset: 50000000,
-          reason: 0
-        }
-      });
+    const alternatives = events
+      .filter(({ type }) => type === 'result')
+      .map(({ resultIndex, results }) => results[resultIndex][0]);
 
-      // cognitiveservices:recognized
+    expect(alternatives.map(({ confidenceSource }) => confidenceSource)).toEqual([
+      'stability',
+      'stability',
+      'service',
+      'stability'
+    ]);
+    expect(alternatives[1].words).toEqual([
+      { confidence: 2 / 3, text: 'hello' },
+      { confidence: 0.5, text: 'world' }
+    ]);
+    expect(alternatives[2]).toHaveProperty('confidence', 0.9);
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+    // Hypotheses after the final result should not be compared against the previous utterance.
+    expect(alternatives[3]).toHaveProperty('confidence', 0.5);
+  });
+});
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:audioend
-      // webspeech:error { error: 'no-speech' }
-      // webspeech:end
+describe('SpeechRecognition with translation', () => {
+  test('should return translations in interim and final results', async () => {
+    const { default: createSpeechTranslationPonyfill } = require('./createSpeechTranslationPonyfill');
+    const { SpeechRecognition } = createSpeechTranslationPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      targetLanguages: ['sv', 'fi']
+    });
 
-      await errorEventEmitted;
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:recognized",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:audioend",
-          "webspeech:error { error: 'no-speech' }",
-          "webspeech:end",
-        ]
-      `);
+    speechRecognition.interimResults = true;
+    speechRecognition.lang = 'en-US';
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig).toHaveProperty('speechRecognitionLanguage', 'en-US');
+    expect(recognizer.speechConfig.addTargetLanguage.mock.calls).toEqual([['sv'], ['fi']]);
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    const createTranslations = translations => ({
+      get: language => translations[language],
+      languages: Object.keys(translations)
     });
 
-    test('with unrecognizable sound should throw error', async () => {
-      speechRecognition.start();
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognizing(this, {
+      result: {
+        json: JSON.stringify({ Duration: 1, Offset: 0, Text: 'hello' }),
+        reason: 7,
+        text: 'hello',
+        translations: createTranslations({ fi: 'hei', sv: 'hej' })
+      }
+    });
+    recognizer.recognized(this, {
+      result: {
+        json: JSON.stringify({ Duration: 1, Offset: 0, RecognitionStatus: 'Success', Text: 'Hello.' }),
+        reason: 8,
+        text: 'Hello.',
+        translations: createTranslations({ fi: 'Hei.', sv: 'Hej.' })
+      }
+    });
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    await endEventEmitted;
+
+    const [interimEvent, finalEvent] = events.filter(({ type }) => type === 'result');
+
+    expect(interimEvent.results[0]).toHaveProperty('translations', { fi: 'hei', sv: 'hej' });
+    expect(interimEvent.results[0]).toHaveProperty('isFinal', false);
+    expect(interimEvent.results[0][0]).toHaveProperty('transcript', 'hello');
+    expect(finalEvent.results[0]).toHaveProperty('translations', { fi: 'Hei.', sv: 'Hej.' });
+    expect(finalEvent.results[0]).toHaveProperty('isFinal', true);
+    expect(finalEvent.results[0][0]).toHaveProperty('transcript', 'Hello.');
+  });
+
+  test('should throw without target languages', () => {
+    const { default: createSpeechTranslationPonyfill } = require('./createSpeechTranslationPonyfill');
+
+    expect(() =>
+      createSpeechTranslationPonyfill({
+        credentials: {
+          region: 'westus',
+          subscriptionKey: 'SUBSCRIPTION_KEY'
+        }
+      })
+    ).toThrow('"targetLanguages" must be specified');
+  });
+});
+
+describe('SpeechRecognition with conversation transcription', () => {
+  test('should return speaker ID in results', async () => {
+    const { default: createConversationTranscriptionPonyfill } = require('./createConversationTranscriptionPonyfill');
+    const { SpeechRecognition } = createConversationTranscriptionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+
+    speechRecognition.continuous = true;
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    const createTranscribedEvent = (text, speakerId) => {
+      const event = createRecognizedEvent(text);
+
+      event.result.speakerId = speakerId;
+
+      return event;
+    };
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.transcribed(this, createTranscribedEvent('Hello.', 'Guest-1'));
+    recognizer.transcribed(this, createTranscribedEvent('Hi.', 'Guest-2'));
+
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    await endEventEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:result ['Hello.' (isFinal)]",
+        "webspeech:result ['Hello.' (isFinal), 'Hi.' (isFinal)]",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:end",
+      ]
+    `);
+
+    const { results } = events.filter(({ type }) => type === 'result').pop();
+
+    expect(Array.from(results, ({ speakerId }) => speakerId)).toEqual(['Guest-1', 'Guest-2']);
+  });
+});
+
+describe('SpeechRecognition with silence timeouts', () => {
+  test('should not set timeouts by default', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('initialSilenceTimeout', undefined);
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig.setProperty).not.toHaveBeenCalled();
+  });
+
+  test('should set timeouts from ponyfill options and instance properties', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      endSilenceTimeout: 1000,
+      initialSilenceTimeout: 5000
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('endSilenceTimeout', 1000);
+    expect(speechRecognition).toHaveProperty('initialSilenceTimeout', 5000);
+
+    speechRecognition.endSilenceTimeout = 2000;
+    speechRecognition.segmentationSilenceTimeout = 1500;
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig.setProperty.mock.calls).toEqual([
+      ['SpeechServiceConnection_InitialSilenceTimeoutMs', '5000'],
+      ['SpeechServiceConnection_EndSilenceTimeoutMs', '2000'],
+      ['Speech_SegmentationSilenceTimeoutMs', '1500']
+    ]);
+  });
+});
+
+describe('SpeechRecognition with voice activity detection', () => {
+  test('should dispatch "soundend" when sound goes quiet mid-session', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      createVoiceActivityDetector: () => ({ process: samples => samples[0] > 0 }),
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    const nextEvent = type => new Promise(resolve => speechRecognition.addEventListener(type, resolve, { once: true }));
+
+    speechRecognition.continuous = true;
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+    await recognizer.readAudioChunk();
+    recognizer.audioConfig.emitRead();
+    await nextEvent('soundstart');
+
+    recognizer.recognizing(this, createRecognizingEvent('hello'));
+
+    await recognizer.readAudioChunk();
+    recognizer.audioConfig.emitRead(new ArrayBuffer(2));
+    await nextEvent('soundend');
+
+    // Result lagging behind "soundend" should not restart speech.
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+
+    await recognizer.readAudioChunk();
+    recognizer.audioConfig.emitRead();
+    await nextEvent('soundstart');
+
+    recognizer.recognizing(this, createRecognizingEvent('world'));
+    recognizer.recognized(this, createRecognizedEvent('World.'));
+
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    await endEventEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:result ['Hello.' (isFinal)]",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:end",
+      ]
+    `);
+  });
+
+  test('should dispatch "soundend" in a room with constant noise with the default detector', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const nextEvent = type => new Promise(resolve => speechRecognition.addEventListener(type, resolve, { once: true }));
+
+    speechRecognition.continuous = true;
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+    const soundEndEmitted = nextEvent('soundend');
+
+    // 2 seconds of constant background noise, in chunks of 100 ms of 16 kHz audio.
+    for (let count = 0; count < 20; count++) {
+      await recognizer.readAudioChunk();
+      recognizer.audioConfig.emitRead(new Int16Array(1600).fill(200).buffer);
+    }
+
+    await soundEndEmitted;
+
+    const soundStartEmitted = nextEvent('soundstart');
+
+    // Talking over the background noise.
+    await recognizer.readAudioChunk();
+    recognizer.audioConfig.emitRead(new Int16Array(1600).fill(3000).buffer);
+
+    await soundStartEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:soundend",
+        "webspeech:soundstart",
+      ]
+    `);
+  });
+
+  test('should detect sound on 8-bit stereo audio as 16-bit mono', async () => {
+    const { default: createPushAudioSource } = require('./createPushAudioSource');
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { audioConfig } = createPushAudioSource({ bitsPerSample: 8, channels: 2 });
+    const processedSamples = [];
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      audioConfig,
+      createVoiceActivityDetector: () => ({ process: samples => processedSamples.push([...samples]) }),
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+    await recognizer.readAudioChunk();
+
+    // Two frames of unsigned 8-bit samples, left and right interleaved.
+    recognizer.audioConfig.emitRead(new Uint8Array([129, 131, 126, 124]).buffer);
+
+    await soundStartEmitted;
+
+    expect(processedSamples).toEqual([[512, -768]]);
+  });
+});
+
+describe('SpeechRecognition with pronunciation assessment', () => {
+  test('should apply pronunciation assessment config and return scores', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      pronunciationAssessment: { gradingSystem: 'fivepoint', granularity: 'word', referenceText: 'Hello.' }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const resultEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
+
+    speechRecognition.pronunciationAssessment = {
+      ...speechRecognition.pronunciationAssessment,
+      referenceText: 'Hello, World!'
+    };
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.pronunciationAssessmentConfig).toEqual({
+      enableMiscue: false,
+      enableProsodyAssessment: false,
+      gradingSystem: 1,
+      granularity: 2,
+      referenceText: 'Hello, World!'
+    });
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, {
+      result: {
+        json: JSON.stringify({
+          NBest: [
+            {
+              Confidence: 0.9,
+              Display: 'Hello, World!',
+              PronunciationAssessment: { AccuracyScore: 4.5, CompletenessScore: 5, FluencyScore: 4, PronScore: 4.4 },
+              Words: [
+                { PronunciationAssessment: { AccuracyScore: 5, ErrorType: 'None' }, Word: 'hello' },
+                { PronunciationAssessment: { AccuracyScore: 4, ErrorType: 'None' }, Word: 'world' }
+              ]
+            }
+          ]
+        }),
+        reason: 3,
+        text: 'Hello, World!'
+      }
+    });
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    const {
+      results: [result]
+    } = await resultEmitted;
+
+    expect(result).toHaveProperty('pronunciationAssessment', {
+      accuracyScore: 4.5,
+      completenessScore: 5,
+      fluencyScore: 4,
+      pronunciationScore: 4.4
+    });
+    expect(result[0].words.map(({ pronunciationAssessment, text }) => [text, pronunciationAssessment])).toEqual([
+      ['hello', { accuracyScore: 5, errorType: 'None' }],
+      ['world', { accuracyScore: 4, errorType: 'None' }]
+    ]);
+  });
+
+  test('should throw with invalid grading system', () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+
+    expect(() =>
+      createSpeechRecognitionPonyfill({
+        credentials: {
+          region: 'westus',
+          subscriptionKey: 'SUBSCRIPTION_KEY'
+        },
+        pronunciationAssessment: { gradingSystem: 'tenpoint', referenceText: 'Hello.' }
+      })
+    ).toThrow('"pronunciationAssessment.gradingSystem" must be');
+  });
+
+  test('should throw when setting invalid granularity', () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(() => {
+      speechRecognition.pronunciationAssessment = { granularity: 'sentence', referenceText: 'Hello.' };
+    }).toThrow('"pronunciationAssessment.granularity" must be');
+    expect(speechRecognition).toHaveProperty('pronunciationAssessment', undefined);
+  });
+});
+
+describe('SpeechRecognition with reconnect', () => {
+  const NETWORK_ERROR = {
+    errorDetails: 'Unable to contact server. StatusCode: 1006, Reason: ',
+    reason: 0
+  };
+
+  let events;
+  let speechRecognition;
+
+  beforeEach(() => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      reconnect: { initialDelay: 1000, maxAttempts: 2 }
+    });
+
+    speechRecognition = new SpeechRecognition();
+    events = captureSpeechEvents(speechRecognition);
+
+    speechRecognition.continuous = true;
+  });
+
+  test('should recreate recognizer and keep results after network error', async () => {
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    const reconnectEventEmitted = new Promise(resolve => speechRecognition.addEventListener('reconnect', resolve));
+
+    speechRecognition.start();
+
+    const firstRecognizer = await constructRecognizerDeferred.promise;
+
+    await firstRecognizer.waitForStartContinuousRecognitionAsync();
+
+    firstRecognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    firstRecognizer.recognized(this, createRecognizedEvent('Hello.'));
+    firstRecognizer.canceled(this, NETWORK_ERROR);
+
+    await reconnectEventEmitted;
+
+    constructRecognizerDeferred = createDeferred();
+    jest.advanceTimersByTime(1000);
+
+    const secondRecognizer = await constructRecognizerDeferred.promise;
+
+    await secondRecognizer.waitForStartContinuousRecognitionAsync();
+
+    secondRecognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    secondRecognizer.recognized(this, createRecognizedEvent('World.'));
+
+    speechRecognition.stop();
+    secondRecognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    await endEventEmitted;
+
+    expect(secondRecognizer).not.toBe(firstRecognizer);
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:result ['Hello.' (isFinal)]",
+        "webspeech:reconnect { attempt: 1, delay: 1000 }",
+        "webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:end",
+      ]
+    `);
+  });
+
+  test('should emit network error after all attempts failed', async () => {
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+
+    speechRecognition.start();
+
+    let recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const reconnectEventEmitted = new Promise(resolve =>
+        speechRecognition.addEventListener('reconnect', resolve, { once: true })
+      );
+
+      recognizer.canceled(this, NETWORK_ERROR);
+
+      await reconnectEventEmitted;
+
+      constructRecognizerDeferred = createDeferred();
+      jest.advanceTimersByTime(attempt * 1000);
+
+      recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+    }
+
+    recognizer.canceled(this, NETWORK_ERROR);
+
+    await endEventEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:reconnect { attempt: 1, delay: 1000 }",
+        "webspeech:reconnect { attempt: 2, delay: 2000 }",
+        "webspeech:audioend",
+        "webspeech:error { error: 'network' }",
+        "webspeech:end",
+      ]
+    `);
+  });
+
+  test('should end without error when stopped while waiting to reconnect', async () => {
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    const reconnectEventEmitted = new Promise(resolve => speechRecognition.addEventListener('reconnect', resolve));
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.canceled(this, NETWORK_ERROR);
+
+    await reconnectEventEmitted;
+
+    speechRecognition.stop();
+
+    await endEventEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:result ['Hello.' (isFinal)]",
+        "webspeech:reconnect { attempt: 1, delay: 1000 }",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:end",
+      ]
+    `);
+  });
+});
+
+describe('SpeechRecognition with cancellation', () => {
+  test.each([
+    ['service-not-allowed', 1, 'Authentication failed'],
+    [
+      'service-not-allowed',
+      4,
+      'Unable to contact server. StatusCode: 401, wss://westus.stt.speech.microsoft.com/ Reason: Authentication failed'
+    ],
+    ['service-not-allowed', 8, 'Forbidden'],
+    ['language-not-supported', 2, 'Unsupported language xx-XX websocket error code: 1007'],
+    ['bad-grammar', 4, 'Unable to contact server. StatusCode: 400, wss://westus.stt.speech.microsoft.com/ Reason: '],
+    ['audio-capture', 7, 'Error occurred during microphone initialization: NotFoundError: Requested device not found'],
+    ['network', 4, 'Unable to contact server. StatusCode: 1006, Reason: '],
+    ['unknown', 3, 'Too many requests']
+  ])('should map to "%s" from code %i with details "%s"', async (expected, errorCode, errorDetails) => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const errorEventEmitted = new Promise(resolve => speechRecognition.addEventListener('error', resolve));
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    recognizer.canceled(this, { errorCode, errorDetails, reason: 0, sessionId: 'SESSION_ID' });
+
+    const errorEvent = await errorEventEmitted;
+
+    expect(errorEvent).toHaveProperty('error', expected);
+    expect(errorEvent).toHaveProperty('errorCode', errorCode);
+    expect(errorEvent).toHaveProperty('errorDetails', errorDetails);
+    expect(errorEvent).toHaveProperty('message', errorDetails);
+    expect(errorEvent).toHaveProperty('sessionId', 'SESSION_ID');
+  });
+});
+
+describe('SpeechRecognition with profanity option', () => {
+  test('should not set profanity option by default', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('profanity', undefined);
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig.setProfanity).not.toHaveBeenCalled();
+  });
+
+  test('should set profanity option from ponyfill options', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      profanity: 'removed'
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('profanity', 'removed');
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig.setProfanity).toHaveBeenCalledWith(1);
+  });
+
+  test('should set profanity option per instance', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      profanity: 'masked'
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.profanity = 'raw';
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.speechConfig.setProfanity).toHaveBeenCalledWith(2);
+  });
+
+  test('should throw on unknown profanity option', () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(() => {
+      speechRecognition.profanity = 'hidden';
+    }).toThrow("The provided value is not one of 'masked', 'raw', 'removed'");
+  });
+
+  test('should throw on unknown profanity option from ponyfill options', () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+
+    expect(() =>
+      createSpeechRecognitionPonyfill({
+        credentials: {
+          region: 'westus',
+          subscriptionKey: 'SUBSCRIPTION_KEY'
+        },
+        profanity: 'hidden'
+      })
+    ).toThrow("The provided value is not one of 'masked', 'raw', 'removed'");
+  });
+});
+
+describe('SpeechRecognition with telemetry', () => {
+  test('disabled', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      enableTelemetry: false,
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.start();
+
+    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledTimes(1);
+    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledWith(false);
+  });
+
+  test('enabled', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      enableTelemetry: true,
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.start();
+
+    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledTimes(1);
+    expect(MOCK_SPEECH_SDK.SpeechRecognizer.enableTelemetry).toHaveBeenCalledWith(true);
+  });
+});
+
+describe('SpeechRecognition with loosened events', () => {
+  let endEventEmitted;
+  let errorEventEmitted;
+  let events;
+  let speechRecognition;
+  let soundStartEmitted;
+
+  beforeEach(async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      looseEvents: true
+    });
+
+    speechRecognition = new SpeechRecognition();
+    events = captureSpeechEvents(speechRecognition);
+    endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    errorEventEmitted = new Promise(resolve => speechRecognition.addEventListener('error', resolve));
+    soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+  });
+
+  describe('in interactive mode', () => {
+    test('without interims', async () => {
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead();
+      await soundStartEmitted;
+
+      // cognitiveservices:soundStart
+      // webspeech:soundstart
+
+      recognizer.recognizing(this, createRecognizingEvent('hello world'));
+
+      // cognitiveservices:recognizing
+      // webspeech:speechstart
+
+      recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
+
+      // cognitiveservices:recognized
+      // webspeech:result ["Hello, World!" (isFinal)]
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:speechend
+      // webspeech:soundend
+      // webspeech:audioend
+      // webspeech:end
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:soundStart",
+          "webspeech:soundstart",
+          "cognitiveservices:recognizing",
+          "webspeech:speechstart",
+          "cognitiveservices:recognized",
+          "webspeech:result ['Hello, World!' (isFinal)]",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:speechend",
+          "webspeech:soundend",
+          "webspeech:audioend",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('with interims', async () => {
+      speechRecognition.interimResults = true;
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead();
+      await soundStartEmitted;
+
+      // cognitiveservices:soundStart
+      // webspeech:soundstart
+
+      recognizer.recognizing(this, createRecognizingEvent('hello'));
+
+      // cognitiveservices:recognizing
+      // webspeech:speechstart
+      // webspeech:result ["hello"]
+
+      recognizer.recognizing(this, createRecognizingEvent('hello world'));
+
+      // cognitiveservices:recognizing
+      // webspeech:result ["hello world"]
+
+      recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
+
+      // cognitiveservices:recognized
+      // webspeech:result ["Hello, World!" (isFinal)]
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:speechend
+      // webspeech:soundend
+      // webspeech:audioend
+      // webspeech:end
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:soundStart",
+          "webspeech:soundstart",
+          "cognitiveservices:recognizing",
+          "webspeech:speechstart",
+          "webspeech:result ['hello']",
+          "cognitiveservices:recognizing",
+          "webspeech:result ['hello world']",
+          "cognitiveservices:recognized",
+          "webspeech:result ['Hello, World!' (isFinal)]",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:speechend",
+          "webspeech:soundend",
+          "webspeech:audioend",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('with muted microphone', async () => {
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead([0x00, 0x00]);
+
+      recognizer.recognized(this, {
+        offset: 50000000,
+        result: {
+          duration: 0,
+          json: JSON.stringify({
+            RecognitionStatus: 'InitialSilenceTimeout',
+            Offset: 50000000,
+            Duration: 0
+          }),
+          offset: 50000000,
+          reason: 0
+        }
+      });
+
+      // cognitiveservices:recognized
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:audioend
+      // webspeech:error { error: 'no-speech' }
+      // webspeech:end
+
+      await errorEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:recognized",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:audioend",
+          "webspeech:error { error: 'no-speech' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('with unrecognizable sound should throw error', async () => {
+      speechRecognition.start();
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead();
+      await soundStartEmitted;
+
+      // cognitiveservices:soundStart
+      // webspeech:soundstart
+
+      recognizer.recognized(this, createRecognizedEvent(''));
+
+      // cognitiveservices:recognized
+      // webspeech:speechstart
+
+      speechRecognition.stop();
+
+      // cognitiveservices:stop
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:speechend
+      // webspeech:soundend
+      // webspeech:audioend
+      // webspeech:error { error: 'no-speech' }
+      // webspeech:end
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:soundStart",
+          "webspeech:soundstart",
+          "cognitiveservices:recognized",
+          "webspeech:speechstart",
+          "cognitiveservices:stop",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:speechend",
+          "webspeech:soundend",
+          "webspeech:audioend",
+          "webspeech:error { error: 'no-speech' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+  });
+
+  describe('in continuous mode', () => {
+    test('with unrecognizable sound should throw error', async () => {
+      speechRecognition.start();
+      speechRecognition.continuous = true;
+      speechRecognition.interimResults = true;
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead();
+      await soundStartEmitted;
+
+      // cognitiveservices:soundStart
+      // webspeech:soundstart
+
+      recognizer.recognized(this, createRecognizedEvent(''));
+
+      // cognitiveservices:recognized
+      // webspeech:speechstart
+
+      speechRecognition.stop();
+
+      // cognitiveservices:stop
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:speechend
+      // webspeech:soundend
+      // webspeech:audioend
+      // webspeech:error { error: 'no-speech' }
+      // webspeech:end
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:soundStart",
+          "webspeech:soundstart",
+          "cognitiveservices:recognized",
+          "webspeech:speechstart",
+          "cognitiveservices:stop",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:speechend",
+          "webspeech:soundend",
+          "webspeech:audioend",
+          "webspeech:error { error: 'no-speech' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('stop after recognized 1 speech and 1 ongoing', async () => {
+      speechRecognition.start();
+      speechRecognition.continuous = true;
+      speechRecognition.interimResults = true;
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead();
+      await soundStartEmitted;
+
+      // cognitiveservices:soundStart
+      // webspeech:soundstart
+
+      recognizer.recognizing(this, createRecognizingEvent('hello'));
+
+      // cognitiveservices:recognizing
+      // webspeech:speechstart
+      // webspeech:result ['hello']
+
+      recognizer.recognized(this, createRecognizedEvent('Hello.'));
+
+      // cognitiveservices:recognized
+      // webspeech:result ['Hello.' (isFinal)]
+
+      speechRecognition.stop();
+
+      // cognitiveservices:stop
+
+      recognizer.recognized(this, createRecognizedEvent('World.'));
+
+      // cognitiveservices:recognized
+      // webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:speechend
+      // webspeech:soundend
+      // webspeech:audioend
+      // webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]
+      // webspeech:end
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:soundStart",
+          "webspeech:soundstart",
+          "cognitiveservices:recognizing",
+          "webspeech:speechstart",
+          "webspeech:result ['hello']",
+          "cognitiveservices:recognized",
+          "webspeech:result ['Hello.' (isFinal)]",
+          "cognitiveservices:stop",
+          "cognitiveservices:recognized",
+          "webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:speechend",
+          "webspeech:soundend",
+          "webspeech:audioend",
+          "webspeech:end",
+        ]
+      `);
+    });
+
+    test('abort after recognized', async () => {
+      speechRecognition.start();
+      speechRecognition.continuous = true;
+      speechRecognition.interimResults = true;
+
+      const recognizer = await constructRecognizerDeferred.promise;
+
+      await recognizer.waitForStartContinuousRecognitionAsync();
+
+      // This will fire "soundStart" on "emitRead"
+      await recognizer.readAudioChunk();
+
+      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+      // cognitiveservices:audioSourceReady
+      // webspeech:start
+      // webspeech:audiostart
+
+      recognizer.audioConfig.emitRead();
+      await soundStartEmitted;
+
+      // cognitiveservices:soundStart
+      // webspeech:soundstart
+
+      recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
+
+      // cognitiveservices:recognized
+      // webspeech:speechstart
+      // webspeech:result ['Hello, World!' (isFinal)]
+
+      speechRecognition.abort();
+
+      // cognitiveservices:abort
+
+      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+      // cognitiveservices:audioSourceOff
+      // webspeech:speechend
+      // webspeech:soundend
+      // webspeech:audioend
+      // webspeech:error { error: 'aborted' }
+      // webspeech:end
+
+      await endEventEmitted;
+
+      expect(toSnapshot(events)).toMatchInlineSnapshot(`
+        [
+          "cognitiveservices:audioSourceReady",
+          "webspeech:start",
+          "webspeech:audiostart",
+          "cognitiveservices:soundStart",
+          "webspeech:soundstart",
+          "cognitiveservices:recognized",
+          "webspeech:speechstart",
+          "webspeech:result ['Hello, World!' (isFinal)]",
+          "cognitiveservices:abort",
+          "cognitiveservices:audioSourceOff",
+          "webspeech:speechend",
+          "webspeech:soundend",
+          "webspeech:audioend",
+          "webspeech:error { error: 'aborted' }",
+          "webspeech:end",
+        ]
+      `);
+    });
+  });
+});
+
+describe('SpeechRecognition with device selection', () => {
+  test('should use default microphone by default', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('deviceId', undefined);
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.audioConfig).toHaveProperty('deviceId', undefined);
+  });
+
+  test('should use microphone from ponyfill options', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      deviceId: 'DEVICE_1'
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    expect(speechRecognition).toHaveProperty('deviceId', 'DEVICE_1');
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.audioConfig).toHaveProperty('deviceId', 'DEVICE_1');
+  });
+
+  test('should use microphone per instance', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      deviceId: 'DEVICE_1'
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.deviceId = 'DEVICE_2';
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.audioConfig).toHaveProperty('deviceId', 'DEVICE_2');
+  });
+
+  test('should ignore device ID when "audioConfig" is specified', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const audioConfig = MOCK_SPEECH_SDK.AudioConfig.fromDefaultMicrophoneInput();
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      audioConfig,
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.deviceId = 'DEVICE_1';
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.audioConfig).toBe(audioConfig);
+  });
+
+  test('should dispatch "devicechange" when media devices changed', () => {
+    const { mediaDevices } = window.navigator;
+    const addEventListenerSpy = jest.spyOn(mediaDevices, 'addEventListener');
+    const removeEventListenerSpy = jest.spyOn(mediaDevices, 'removeEventListener');
+
+    try {
+      const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+      const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+        credentials: {
+          region: 'westus',
+          subscriptionKey: 'SUBSCRIPTION_KEY'
+        }
+      });
+
+      const speechRecognition = new SpeechRecognition();
+      const handleDeviceChange = jest.fn();
+      const handleDeviceChangeAttribute = jest.fn();
+
+      // Should not listen to the browser until someone is interested.
+      expect(addEventListenerSpy).toHaveBeenCalledTimes(0);
+
+      speechRecognition.addEventListener('devicechange', handleDeviceChange);
+      speechRecognition.ondevicechange = handleDeviceChangeAttribute;
+
+      expect(addEventListenerSpy).toHaveBeenCalledTimes(1);
+
+      const [[type, listener]] = addEventListenerSpy.mock.calls;
+
+      expect(type).toBe('devicechange');
+
+      listener();
+
+      expect(handleDeviceChange).toHaveBeenCalledTimes(1);
+      expect(handleDeviceChange.mock.calls[0][0]).toHaveProperty('type', 'devicechange');
+      expect(handleDeviceChangeAttribute).toHaveBeenCalledTimes(1);
+
+      // Should stop listening to the browser when the last listener is gone.
+      speechRecognition.removeEventListener('devicechange', handleDeviceChange);
+
+      expect(removeEventListenerSpy).toHaveBeenCalledTimes(0);
+
+      speechRecognition.ondevicechange = null;
+
+      expect(removeEventListenerSpy).toHaveBeenCalledTimes(1);
+      expect(removeEventListenerSpy).toHaveBeenCalledWith('devicechange', listener);
+    } finally {
+      addEventListenerSpy.mockRestore();
+      removeEventListenerSpy.mockRestore();
+    }
+  });
+
+  test('should stop listening to "devicechange" of the browser after a "once" listener fired', () => {
+    const { mediaDevices } = window.navigator;
+    const addEventListenerSpy = jest.spyOn(mediaDevices, 'addEventListener');
+    const removeEventListenerSpy = jest.spyOn(mediaDevices, 'removeEventListener');
+
+    try {
+      const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+      const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+        credentials: {
+          region: 'westus',
+          subscriptionKey: 'SUBSCRIPTION_KEY'
+        }
+      });
+
+      const speechRecognition = new SpeechRecognition();
+      const handleDeviceChange = jest.fn();
+      const handleCaptureDeviceChange = jest.fn();
+
+      speechRecognition.addEventListener('devicechange', handleDeviceChange, { once: true });
+
+      // Same listener with a different capture flag is a separate registration.
+      speechRecognition.addEventListener('devicechange', handleCaptureDeviceChange, true);
+      speechRecognition.addEventListener('devicechange', handleCaptureDeviceChange);
+      speechRecognition.removeEventListener('devicechange', handleCaptureDeviceChange, { capture: true });
+
+      expect(addEventListenerSpy).toHaveBeenCalledTimes(1);
+
+      const [[, listener]] = addEventListenerSpy.mock.calls;
+
+      listener();
+      listener();
+
+      expect(handleDeviceChange).toHaveBeenCalledTimes(1);
+      expect(handleCaptureDeviceChange).toHaveBeenCalledTimes(2);
+      expect(removeEventListenerSpy).toHaveBeenCalledTimes(0);
+
+      speechRecognition.removeEventListener('devicechange', handleCaptureDeviceChange);
+
+      expect(removeEventListenerSpy).toHaveBeenCalledTimes(1);
+      expect(removeEventListenerSpy).toHaveBeenCalledWith('devicechange', listener);
+    } finally {
+      addEventListenerSpy.mockRestore();
+      removeEventListenerSpy.mockRestore();
+    }
+  });
+});
+
+describe('SpeechRecognition with MediaStream', () => {
+  const createMediaStream = (tracks = []) => ({ active: true, getTracks: () => tracks });
+
+  beforeEach(() => {
+    global.MediaStream = class {
+      constructor(tracks) {
+        this.active = tracks.every(({ readyState }) => readyState === 'live');
+        this.tracks = tracks;
+      }
+
+      getTracks() {
+        return this.tracks;
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.MediaStream;
+  });
+
+  test('should recognize from MediaStream in ponyfill options', async () => {
+    const mediaStream = createMediaStream();
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      mediaStream
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    expect(speechRecognition).toHaveProperty('mediaStream', mediaStream);
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.audioConfig).toHaveProperty('audioStream', mediaStream);
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+    await recognizer.readAudioChunk();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitRead();
+    await soundStartEmitted;
+
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    await endEventEmitted;
+
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:result ['Hello.' (isFinal)]",
+        "webspeech:end",
+      ]
+    `);
+  });
+
+  test('should recognize from MediaStreamTrack per instance', async () => {
+    const track = { kind: 'audio', readyState: 'live' };
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      deviceId: 'DEVICE_1'
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.mediaStream = track;
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    expect(recognizer.audioConfig.audioStream).toBeInstanceOf(MediaStream);
+    expect(recognizer.audioConfig.audioStream.getTracks()).toEqual([track]);
+  });
+
+  test('should not fallback to microphone when MediaStreamTrack has ended', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const errorEventEmitted = new Promise(resolve => speechRecognition.addEventListener('error', resolve));
+
+    speechRecognition.mediaStream = { kind: 'audio', readyState: 'ended' };
+    speechRecognition.start();
+
+    const { error } = await errorEventEmitted;
+
+    expect(error).toHaveProperty(
+      'message',
+      'web-speech-cognitive-services: The MediaStream or MediaStreamTrack has ended.'
+    );
+  });
+});
+
+describe('SpeechRecognition with audio file', () => {
+  function createWaveArrayBuffer(samples, samplesPerSecond = 16000) {
+    const arrayBuffer = new ArrayBuffer(44 + samples.byteLength);
+    const dataView = new DataView(arrayBuffer);
+    const writeFourCC = (offset, value) =>
+      value.split('').forEach((char, index) => dataView.setUint8(offset + index, char.charCodeAt(0)));
+
+    writeFourCC(0, 'RIFF');
+    dataView.setUint32(4, 36 + samples.byteLength, true);
+    writeFourCC(8, 'WAVE');
+    writeFourCC(12, 'fmt ');
+    dataView.setUint32(16, 16, true);
+    dataView.setUint16(20, 1, true);
+    dataView.setUint16(22, 1, true);
+    dataView.setUint32(24, samplesPerSecond, true);
+    dataView.setUint32(28, samplesPerSecond * 2, true);
+    dataView.setUint16(32, 2, true);
+    dataView.setUint16(34, 16, true);
+    writeFourCC(36, 'data');
+    dataView.setUint32(40, samples.byteLength, true);
+    new Int16Array(arrayBuffer, 44).set(samples);
+
+    return arrayBuffer;
+  }
+
+  test('should dispatch results and resolve with final results', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const events = captureSpeechEvents(speechRecognition);
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    speechRecognition.continuous = true;
+
+    const resultsPromise = speechRecognition.recognizeAudio(createWaveArrayBuffer(new Int16Array(1600).fill(1000)));
+    const recognizer = await constructRecognizerDeferred.promise;
+    const { audioStream } = recognizer.audioConfig;
+
+    expect(audioStream.format).toEqual({ bitsPerSample: 16, channels: 1, samplesPerSec: 16000 });
+    expect(audioStream.chunks.map(chunk => chunk.byteLength)).toEqual([3200]);
+    expect(audioStream).toHaveProperty('closed', true);
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+    await recognizer.readAudioChunk();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitRead();
+    await soundStartEmitted;
+
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.recognized(this, createRecognizedEvent('World.'));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    const results = await resultsPromise;
+
+    expect(results.map(([{ transcript }]) => transcript)).toEqual(['Hello.', 'World.']);
+    expect(toSnapshot(events.filter(({ type }) => type !== 'cognitiveservices'))).toMatchInlineSnapshot(`
+      [
+        "webspeech:start",
+        "webspeech:audiostart",
+        "webspeech:soundstart",
+        "webspeech:speechstart",
+        "webspeech:result ['Hello.' (isFinal)]",
+        "webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]",
+        "webspeech:speechend",
+        "webspeech:soundend",
+        "webspeech:audioend",
+        "webspeech:end",
+      ]
+    `);
+  });
+
+  test('should reject if the custom recognizer ignored the audio', async () => {
+    const { createSpeechRecognitionPonyfillFromRecognizer } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognizer } = require('../SpeechSDK');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfillFromRecognizer({
+      createRecognizer: async () => new SpeechRecognizer({}, createMockMicrophone())
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    await expect(speechRecognition.recognizeAudio(createWaveArrayBuffer(new Int16Array(1600)))).rejects.toThrow(
+      '"createRecognizer" must create the recognizer with the "audioConfig" passed to it.'
+    );
+  });
+
+  test('should reject if recognition has already started', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+
+    speechRecognition.start();
+
+    await expect(speechRecognition.recognizeAudio(createWaveArrayBuffer(new Int16Array(1600)))).rejects.toThrow(
+      "Failed to execute 'recognizeAudio' on 'SpeechRecognition': recognition has already started."
+    );
+  });
+});
+
+describe('SpeechRecognition with audio capture', () => {
+  test('should capture audio of result and session', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      captureAudio: true,
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    const resultEventEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    expect(speechRecognition).toHaveProperty('captureAudio', true);
+    expect(speechRecognition).toHaveProperty('captureSessionAudio', undefined);
+
+    speechRecognition.captureSessionAudio = true;
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+    await recognizer.readAudioChunk();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+    // 100 ms of 16 kHz 16-bit mono audio.
+    recognizer.audioConfig.emitRead(new Int16Array(1600).fill(1000).buffer);
+    await soundStartEmitted;
+
+    // Offset and duration are in ticks of 100 nanoseconds.
+    recognizer.recognized(this, createRecognizedEvent('Hello.', { duration: 500000, offset: 250000 }));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    const [{ results }, { data }] = await Promise.all([resultEventEmitted, endEventEmitted]);
+
+    expect(results[0].audio).toHaveProperty('type', 'audio/wav');
+    expect(results[0].audio).toHaveProperty('size', 44 + 1600);
+    expect(data.audio).toHaveProperty('size', 44 + 3200);
+  });
+
+  test('should not capture audio by default', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
+    const resultEventEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+    await recognizer.readAudioChunk();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitRead();
+    await soundStartEmitted;
+
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+
+    const [{ results }, { data }] = await Promise.all([resultEventEmitted, endEventEmitted]);
+
+    expect(results[0]).not.toHaveProperty('audio');
+    expect(data).toBeUndefined();
+  });
+});
+
+describe('SpeechRecognition with audio level', () => {
+  test('should dispatch "audiolevel" at configured interval', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      audioLevelInterval: 50,
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const levels = [];
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    expect(speechRecognition).toHaveProperty('audioLevelInterval', 50);
+
+    speechRecognition.addEventListener('audiostart', ({ type }) => levels.push(type));
+    speechRecognition.onaudiolevel = ({ data }) => levels.push(data);
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+    await recognizer.readAudioChunk();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+
+    // 100 ms of 16 kHz audio at full scale.
+    recognizer.audioConfig.emitRead(new Int16Array(1600).fill(-0x8000).buffer);
+    await soundStartEmitted;
+
+    expect(levels).toEqual(['audiostart', { peak: 0, rms: 0 }, { peak: 0, rms: 0 }]);
+  });
+
+  test('should not dispatch "audiolevel" by default', async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
+
+    const speechRecognition = new SpeechRecognition();
+    const handleAudioLevel = jest.fn();
+    const soundStartEmitted = new Promise(resolve => speechRecognition.addEventListener('soundstart', resolve));
+
+    expect(speechRecognition).toHaveProperty('audioLevelInterval', undefined);
+
+    speechRecognition.addEventListener('audiolevel', handleAudioLevel);
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+    await recognizer.readAudioChunk();
+
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitRead(new Int16Array(1600).fill(-0x8000).buffer);
+    await soundStartEmitted;
+
+    expect(handleAudioLevel).not.toHaveBeenCalled();
+  });
+});
+
+describe('SpeechRecognition with credentials refresh', () => {
+  // Tokens expire in 5 minutes, they should be refreshed a minute before expiry.
+  const createToken = id =>
+    `HEADER.${btoa(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 300, id }))}.SIGNATURE`;
+
+  let credentials;
+  let speechRecognition;
+
+  beforeEach(() => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+
+    credentials = jest.fn();
+
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({ credentials });
+
+    speechRecognition = new SpeechRecognition();
+    speechRecognition.continuous = true;
+  });
+
+  test('should push new token into live recognizer before expiry', async () => {
+    const firstToken = createToken(1);
+
+    credentials.mockImplementation(() => ({ authorizationToken: firstToken, region: 'westus' }));
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    expect(recognizer.authorizationToken).toBe(firstToken);
+
+    const credentialsRefreshEmitted = new Promise(resolve =>
+      speechRecognition.addEventListener('credentialsrefresh', resolve)
+    );
+
+    let secondToken;
+
+    credentials.mockImplementation(() => ({ authorizationToken: (secondToken = createToken(2)), region: 'westus' }));
+    jest.advanceTimersByTime(240000);
+
+    const { data } = await credentialsRefreshEmitted;
+
+    expect(credentials).toHaveBeenCalledTimes(2);
+    expect(recognizer.authorizationToken).toBe(secondToken);
+
+    // "exp" is in seconds, the next refresh could be up to a second earlier.
+    expect(data.nextRefreshTime).toBeGreaterThan(Date.now() + 239000);
+    expect(data.nextRefreshTime).toBeLessThanOrEqual(Date.now() + 240000);
+  });
+
+  test('should keep current token and retry if credentials failed to resolve', async () => {
+    const token = createToken(1);
+
+    credentials.mockImplementation(() => ({ authorizationToken: token, region: 'westus' }));
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
+
+    const credentialsRefreshEmitted = new Promise(resolve =>
+      speechRecognition.addEventListener('credentialsrefresh', resolve)
+    );
+
+    credentials.mockImplementation(() => Promise.reject(new Error('Token endpoint is down.')));
+    jest.advanceTimersByTime(240000);
+
+    const { data } = await credentialsRefreshEmitted;
+
+    expect(data.error).toHaveProperty('message', 'Token endpoint is down.');
+    expect(recognizer.authorizationToken).toBe(token);
+  });
+
+  test('should not refresh subscription key', async () => {
+    const handleCredentialsRefresh = jest.fn();
+
+    credentials.mockImplementation(() => ({ region: 'westus', subscriptionKey: 'SUBSCRIPTION_KEY' }));
+    speechRecognition.addEventListener('credentialsrefresh', handleCredentialsRefresh);
+    speechRecognition.start();
+
+    const recognizer = await constructRecognizerDeferred.promise;
+
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      const recognizer = await constructRecognizerDeferred.promise;
+    jest.advanceTimersByTime(3600000);
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    expect(credentials).toHaveBeenCalledTimes(1);
+    expect(handleCredentialsRefresh).not.toHaveBeenCalled();
+  });
+});
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+describe('SpeechRecognition with interpretation', () => {
+  let interpret;
+  let speechRecognition;
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+  beforeEach(() => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+    interpret = jest.fn(async ([{ transcript }]) => ({ entities: { floorName: '7' }, intentId: transcript }));
 
-      recognizer.audioConfig.emitRead();
-      await soundStartEmitted;
+    const { SpeechRecognition } = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      },
+      interpret
+    });
 
-      // cognitiveservices:firstAudibleChunk
-      // webspeech:soundstart
+    speechRecognition = new SpeechRecognition();
+  });
 
-      recognizer.recognized(this, createRecognizedEvent(''));
+  test('should set interpretation on "result" event', async () => {
+    const resultEventEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
 
-      // cognitiveservices:recognized
-      // webspeech:speechstart
+    expect(speechRecognition).toHaveProperty('interpret', interpret);
 
-      speechRecognition.stop();
+    speechRecognition.start();
 
-      // cognitiveservices:stop
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:speechend
-      // webspeech:soundend
-      // webspeech:audioend
-      // webspeech:error { error: 'no-speech' }
-      // webspeech:end
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Take me to floor 7.'));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      await endEventEmitted;
+    const { interpretation, results } = await resultEventEmitted;
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
-          "webspeech:soundstart",
-          "cognitiveservices:recognized",
-          "webspeech:speechstart",
-          "cognitiveservices:stop",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:speechend",
-          "webspeech:soundend",
-          "webspeech:audioend",
-          "webspeech:error { error: 'no-speech' }",
-          "webspeech:end",
-        ]
-      `);
-    });
+    expect(interpret).toHaveBeenCalledTimes(1);
+    expect(interpret).toHaveBeenCalledWith(results[0], { lang: 'en-US' });
+    expect(interpretation).toEqual({ entities: { floorName: '7' }, intentId: 'Take me to floor 7.' });
   });
 
-  describe('in continuous mode', () => {
-    test('with unrecognizable sound should throw error', async () => {
-      speechRecognition.start();
-      speechRecognition.continuous = true;
-      speechRecognition.interimResults = true;
+  test('should set interpretation of the latest result in continuous mode', async () => {
+    const resultEvents = [];
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      const recognizer = await constructRecognizerDeferred.promise;
+    speechRecognition.continuous = true;
+    speechRecognition.addEventListener('result', event => resultEvents.push(event));
+    speechRecognition.start();
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.recognized(this, createRecognizedEvent('World.'));
+    speechRecognition.stop();
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+    await endEventEmitted;
 
-      recognizer.audioConfig.emitRead();
-      await soundStartEmitted;
+    expect(resultEvents.map(({ interpretation }) => interpretation.intentId)).toEqual(['Hello.', 'World.']);
+  });
 
-      // cognitiveservices:firstAudibleChunk
-      // webspeech:soundstart
+  test('should not interpret no-speech', async () => {
+    const errorEventEmitted = new Promise(resolve => speechRecognition.addEventListener('error', resolve));
 
-      recognizer.recognized(this, createRecognizedEvent(''));
+    speechRecognition.start();
 
-      // cognitiveservices:recognized
-      // webspeech:speechstart
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      speechRecognition.stop();
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // cognitiveservices:stop
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent(''));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+    await expect(errorEventEmitted).resolves.toHaveProperty('error', 'no-speech');
+    expect(interpret).not.toHaveBeenCalled();
+  });
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:speechend
-      // webspeech:soundend
-      // webspeech:audioend
-      // webspeech:error { error: 'no-speech' }
-      // webspeech:end
+  test('should dispatch result without interpretation if interpret failed', async () => {
+    const resultEventEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
 
-      await endEventEmitted;
+    speechRecognition.interpret = () => Promise.reject(new Error('Dialogue manager is down.'));
+    speechRecognition.start();
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
-          "webspeech:soundstart",
-          "cognitiveservices:recognized",
-          "webspeech:speechstart",
-          "cognitiveservices:stop",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:speechend",
-          "webspeech:soundend",
-          "webspeech:audioend",
-          "webspeech:error { error: 'no-speech' }",
-          "webspeech:end",
-        ]
-      `);
-    });
+    const recognizer = await constructRecognizerDeferred.promise;
 
-    test('stop after recognized 1 speech and 1 ongoing', async () => {
-      speechRecognition.start();
-      speechRecognition.continuous = true;
-      speechRecognition.interimResults = true;
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      const recognizer = await constructRecognizerDeferred.promise;
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    const { interpretation, results } = await resultEventEmitted;
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+    expect(interpretation).toBeUndefined();
+    expect(results[0][0]).toHaveProperty('transcript', 'Hello.');
+  });
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+  test('should dispatch result without interpretation if interpret did not return in time', async () => {
+    const resultEventEmitted = new Promise(resolve => speechRecognition.addEventListener('result', resolve));
+    const interpretCalled = new Promise(resolve => {
+      speechRecognition.interpret = () => {
+        resolve();
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+        return new Promise(() => {});
+      };
+    });
 
-      recognizer.audioConfig.emitRead();
-      await soundStartEmitted;
+    speechRecognition.start();
 
-      // cognitiveservices:firstAudibleChunk
-      // webspeech:soundstart
+    const recognizer = await constructRecognizerDeferred.promise;
 
-      recognizer.recognizing(this, createRecognizingEvent('hello'));
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-      // cognitiveservices:recognizing
-      // webspeech:speechstart
-      // webspeech:result ['hello']
+    recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
 
-      recognizer.recognized(this, createRecognizedEvent('Hello.'));
+    await interpretCalled;
+    jest.advanceTimersByTime(1000);
 
-      // cognitiveservices:recognized
-      // webspeech:result ['Hello.' (isFinal)]
+    const { interpretation, results } = await resultEventEmitted;
 
-      speechRecognition.stop();
+    expect(interpretation).toBeUndefined();
+    expect(results[0][0]).toHaveProperty('transcript', 'Hello.');
+  });
+});
 
-      // cognitiveservices:stop
+describe('SpeechRecognition with live phrase list', () => {
+  let recognizer;
+  let speechRecognition;
+  let SpeechGrammarList;
 
-      recognizer.recognized(this, createRecognizedEvent('World.'));
+  // Phrases are resolved asynchronously, we need to wait for a few microtasks.
+  const waitForPhrases = async () => {
+    for (let count = 0; count < 10; count++) {
+      await Promise.resolve();
+    }
+  };
 
-      // cognitiveservices:recognized
-      // webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]
+  beforeEach(async () => {
+    const { default: createSpeechRecognitionPonyfill } = require('./createSpeechRecognitionPonyfill');
+    const ponyfill = createSpeechRecognitionPonyfill({
+      credentials: {
+        region: 'westus',
+        subscriptionKey: 'SUBSCRIPTION_KEY'
+      }
+    });
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+    SpeechGrammarList = ponyfill.SpeechGrammarList;
+    speechRecognition = new ponyfill.SpeechRecognition();
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:speechend
-      // webspeech:soundend
-      // webspeech:audioend
-      // webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]
-      // webspeech:end
+    speechRecognition.continuous = true;
+    speechRecognition.grammars.phrases = ['Bellevue'];
+    speechRecognition.start();
 
-      await endEventEmitted;
+    recognizer = await constructRecognizerDeferred.promise;
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
-          "webspeech:soundstart",
-          "cognitiveservices:recognizing",
-          "webspeech:speechstart",
-          "webspeech:result ['hello']",
-          "cognitiveservices:recognized",
-          "webspeech:result ['Hello.' (isFinal)]",
-          "cognitiveservices:stop",
-          "cognitiveservices:recognized",
-          "webspeech:result ['Hello.' (isFinal), 'World.' (isFinal)]",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:speechend",
-          "webspeech:soundend",
-          "webspeech:audioend",
-          "webspeech:end",
-        ]
-      `);
-    });
+    await recognizer.waitForStartContinuousRecognitionAsync();
 
-    test('abort after recognized', async () => {
-      speechRecognition.start();
-      speechRecognition.continuous = true;
-      speechRecognition.interimResults = true;
+    recognizer.phraseListGrammar.addPhrases.mockClear();
+    recognizer.phraseListGrammar.clear.mockClear();
+  });
 
-      const recognizer = await constructRecognizerDeferred.promise;
+  test('should apply changed phrases to live recognizer', async () => {
+    speechRecognition.grammars.phrases = ['Redmond', 'Seattle'];
+    await waitForPhrases();
 
-      await recognizer.waitForStartContinuousRecognitionAsync();
+    expect(recognizer.phraseListGrammar.clear).toHaveBeenCalledTimes(1);
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledTimes(1);
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledWith(['Redmond', 'Seattle']);
+  });
 
-      // This will fire "firstAudibleChunk" on "emitRead"
-      await recognizer.readAudioChunk();
+  test('should clear phrases', async () => {
+    speechRecognition.grammars.phrases = [];
+    await waitForPhrases();
 
-      recognizer.audioConfig.emitEvent('AudioSourceReadyEvent');
+    expect(recognizer.phraseListGrammar.clear).toHaveBeenCalledTimes(1);
+    expect(recognizer.phraseListGrammar.addPhrases).not.toHaveBeenCalled();
+  });
 
-      // cognitiveservices:audioSourceReady
-      // webspeech:start
-      // webspeech:audiostart
+  test('should apply phrases from JSGF grammar added during session', async () => {
+    speechRecognition.grammars.addFromString('#JSGF V1.0; grammar cities; public <city> = Redmond;');
+    await waitForPhrases();
 
-      recognizer.audioConfig.emitRead();
-      await soundStartEmitted;
+    expect(recognizer.phraseListGrammar.addPhrases).toHaveBeenCalledWith(['Bellevue', 'Redmond']);
+  });
 
-      // cognitiveservices:firstAudibleChunk
-      // webspeech:soundstart
+  test('should apply replaced grammar list and stop listening to the old one', async () => {
+    const oldGrammars = speechRecognition.grammars;
 
-      recognizer.recognized(this, createRecognizedEvent('Hello, World!'));
+    speechRecognition.grammars = new SpeechGrammarList();
+    await waitForPhrases();
 
-      // cognitiveservices:recognized
-      // webspeech:speechstart
-      // webspeech:result ['Hello, World!' (isFinal)]
+    expect(recognizer.phraseListGrammar.clear).toHaveBeenCalledTimes(1);
+    expect(recognizer.phraseListGrammar.addPhrases).not.toHaveBeenCalled();
 
-      speechRecognition.abort();
+    oldGrammars.phrases = ['Redmond'];
+    await waitForPhrases();
 
-      // cognitiveservices:abort
+    expect(recognizer.phraseListGrammar.clear).toHaveBeenCalledTimes(1);
+  });
 
-      recognizer.audioConfig.emitEvent('AudioSourceOffEvent');
+  test('should not apply phrases after session ended', async () => {
+    const endEventEmitted = new Promise(resolve => speechRecognition.addEventListener('end', resolve));
 
-      // cognitiveservices:audioSourceOff
-      // webspeech:speechend
-      // webspeech:soundend
-      // webspeech:audioend
-      // webspeech:error { error: 'aborted' }
-      // webspeech:end
+    speechRecognition.abort();
+    await endEventEmitted;
 
-      await endEventEmitted;
+    speechRecognition.grammars.phrases = ['Redmond'];
+    await waitForPhrases();
 
-      expect(toSnapshot(events)).toMatchInlineSnapshot(`
-        [
-          "cognitiveservices:audioSourceReady",
-          "webspeech:start",
-          "webspeech:audiostart",
-          "cognitiveservices:firstAudibleChunk",
-          "webspeech:soundstart",
-          "cognitiveservices:recognized",
-          "webspeech:speechstart",
-          "webspeech:result ['Hello, World!' (isFinal)]",
-          "cognitiveservices:abort",
-          "cognitiveservices:audioSourceOff",
-          "webspeech:speechend",
-          "webspeech:soundend",
-          "webspeech:audioend",
-          "webspeech:error { error: 'aborted' }",
-          "webspeech:end",
-        ]
-      `);
-    });
+    expect(recognizer.phraseListGrammar.clear).not.toHaveBeenCalled();
   });
 });
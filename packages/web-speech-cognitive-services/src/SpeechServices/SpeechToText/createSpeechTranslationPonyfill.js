@@ -0,0 +1,21 @@
+import { createSpeechRecognitionPonyfillFromOptions } from './createSpeechRecognitionPonyfill';
+import SpeechSDK from '../SpeechSDK';
+
+const { SpeechTranslationConfig, TranslationRecognizer } = SpeechSDK;
+
+export default options => {
+  const { targetLanguages } = options || {};
+
+  if (!targetLanguages || !targetLanguages.length) {
+    throw new Error('web-speech-cognitive-services: "targetLanguages" must be specified.');
+  }
+
+  return createSpeechRecognitionPonyfillFromOptions(options, {
+    createRecognizer: (speechConfig, audioConfig) => {
+      targetLanguages.forEach(targetLanguage => speechConfig.addTargetLanguage(targetLanguage));
+
+      return new TranslationRecognizer(speechConfig, audioConfig);
+    },
+    SpeechConfigClass: SpeechTranslationConfig
+  });
+};
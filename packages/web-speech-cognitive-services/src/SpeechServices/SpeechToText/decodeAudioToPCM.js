@@ -0,0 +1,107 @@
+const BITS_PER_SAMPLE = 16;
+const MAX_SAMPLE_VALUE = 0x7fff;
+const SAMPLES_PER_SECOND = 16000;
+
+// Speech Services natively supports 16-bit mono PCM at these sample rates, other formats need to be converted.
+const SUPPORTED_SAMPLES_PER_SECOND = [8000, 16000];
+
+const WAVE_FORMAT_PCM = 1;
+
+async function toArrayBuffer(input) {
+  if (typeof input.arrayBuffer === 'function') {
+    // File and Blob.
+    return await input.arrayBuffer();
+  } else if (ArrayBuffer.isView(input)) {
+    return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+  } else if (input instanceof ArrayBuffer) {
+    return input;
+  }
+
+  throw new Error('web-speech-cognitive-services: Audio must be an ArrayBuffer, typed array, Blob, or File.');
+}
+
+function readFourCC(dataView, offset) {
+  return String.fromCharCode(...new Uint8Array(dataView.buffer, offset, 4));
+}
+
+// Returns PCM samples if the input is a RIFF WAVE file which Speech Services can consume without conversion.
+function parseSupportedWave(arrayBuffer) {
+  const dataView = new DataView(arrayBuffer);
+
+  if (dataView.byteLength < 12 || readFourCC(dataView, 0) !== 'RIFF' || readFourCC(dataView, 8) !== 'WAVE') {
+    return;
+  }
+
+  let format;
+  let offset = 12;
+
+  while (offset + 8 <= dataView.byteLength) {
+    const chunkId = readFourCC(dataView, offset);
+    const chunkSize = dataView.getUint32(offset + 4, true);
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: dataView.getUint16(offset + 8, true),
+        bitsPerSample: dataView.getUint16(offset + 22, true),
+        channels: dataView.getUint16(offset + 10, true),
+        samplesPerSecond: dataView.getUint32(offset + 12, true)
+      };
+    } else if (chunkId === 'data' && format) {
+      const { audioFormat, bitsPerSample, channels, samplesPerSecond } = format;
+
+      if (
+        audioFormat === WAVE_FORMAT_PCM &&
+        bitsPerSample === BITS_PER_SAMPLE &&
+        channels === 1 &&
+        SUPPORTED_SAMPLES_PER_SECOND.includes(samplesPerSecond)
+      ) {
+        return {
+          bitsPerSample,
+          channels,
+          samples: arrayBuffer.slice(offset + 8, Math.min(offset + 8 + chunkSize, dataView.byteLength)),
+          samplesPerSecond
+        };
+      }
+
+      return;
+    }
+
+    // Chunks are padded to even size.
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+}
+
+// Decodes and resamples any format supported by the browser (e.g. MP3, OGG/Opus, WebM, and WAV) into 16 kHz mono.
+async function decodeThroughWebAudio(arrayBuffer) {
+  const OfflineAudioContext = typeof window !== 'undefined' && window.OfflineAudioContext;
+
+  if (!OfflineAudioContext) {
+    throw new Error('web-speech-cognitive-services: This browser does not support Web Audio API to decode the audio.');
+  }
+
+  // Web Audio resamples the decoded audio to the sample rate of the context.
+  // "decodeAudioData" detaches the buffer, we decode a copy so the ArrayBuffer of the caller is untouched.
+  const audioBuffer = await new OfflineAudioContext(1, 1, SAMPLES_PER_SECOND).decodeAudioData(arrayBuffer.slice(0));
+  const { length, numberOfChannels } = audioBuffer;
+  const channelData = new Array(numberOfChannels).fill().map((_, index) => audioBuffer.getChannelData(index));
+  const samples = new Int16Array(length);
+
+  for (let index = 0; index < length; index++) {
+    const value = channelData.reduce((sum, data) => sum + data[index], 0) / numberOfChannels;
+
+    samples[index] = Math.max(-1, Math.min(1, value)) * MAX_SAMPLE_VALUE;
+  }
+
+  return {
+    bitsPerSample: BITS_PER_SAMPLE,
+    channels: 1,
+    samples: samples.buffer,
+    samplesPerSecond: SAMPLES_PER_SECOND
+  };
+}
+
+export default async function decodeAudioToPCM(input) {
+  const arrayBuffer = await toArrayBuffer(input);
+
+  return parseSupportedWave(arrayBuffer) || (await decodeThroughWebAudio(arrayBuffer));
+}
@@ -0,0 +1,107 @@
+import decodeAudioToPCM from './decodeAudioToPCM';
+
+function createWaveArrayBuffer(samples, { channels = 1, samplesPerSecond = 16000 } = {}) {
+  const arrayBuffer = new ArrayBuffer(44 + samples.byteLength);
+  const dataView = new DataView(arrayBuffer);
+  const writeFourCC = (offset, value) =>
+    value.split('').forEach((char, index) => dataView.setUint8(offset + index, char.charCodeAt(0)));
+
+  writeFourCC(0, 'RIFF');
+  dataView.setUint32(4, 36 + samples.byteLength, true);
+  writeFourCC(8, 'WAVE');
+  writeFourCC(12, 'fmt ');
+  dataView.setUint32(16, 16, true);
+  dataView.setUint16(20, 1, true);
+  dataView.setUint16(22, channels, true);
+  dataView.setUint32(24, samplesPerSecond, true);
+  dataView.setUint32(28, samplesPerSecond * channels * 2, true);
+  dataView.setUint16(32, channels * 2, true);
+  dataView.setUint16(34, 16, true);
+  writeFourCC(36, 'data');
+  dataView.setUint32(40, samples.byteLength, true);
+  new Int16Array(arrayBuffer, 44).set(samples);
+
+  return arrayBuffer;
+}
+
+let decodeAudioData;
+let originalWindow;
+
+beforeEach(() => {
+  originalWindow = global.window;
+
+  decodeAudioData = jest.fn(async () => ({
+    getChannelData: index => new Float32Array(index ? [0.5, -1, 1] : [0.5, 0, 1]),
+    length: 3,
+    numberOfChannels: 2
+  }));
+
+  global.window = {
+    OfflineAudioContext: class {
+      constructor(numberOfChannels, length, sampleRate) {
+        this.sampleRate = sampleRate;
+      }
+
+      decodeAudioData(arrayBuffer) {
+        return decodeAudioData(arrayBuffer, this.sampleRate);
+      }
+    }
+  };
+});
+
+afterEach(() => {
+  global.window = originalWindow;
+});
+
+describe('decodeAudioToPCM', () => {
+  test('should pass through 16 kHz mono WAV', async () => {
+    const { samples, ...format } = await decodeAudioToPCM(createWaveArrayBuffer(new Int16Array([1, 2, 3])));
+
+    expect(format).toEqual({ bitsPerSample: 16, channels: 1, samplesPerSecond: 16000 });
+    expect(Array.from(new Int16Array(samples))).toEqual([1, 2, 3]);
+    expect(decodeAudioData).not.toHaveBeenCalled();
+  });
+
+  test('should pass through 8 kHz mono WAV in Blob', async () => {
+    const waveArrayBuffer = createWaveArrayBuffer(new Int16Array([1, 2, 3]), { samplesPerSecond: 8000 });
+    const { samples, ...format } = await decodeAudioToPCM({ arrayBuffer: async () => waveArrayBuffer });
+
+    expect(format).toEqual({ bitsPerSample: 16, channels: 1, samplesPerSecond: 8000 });
+    expect(Array.from(new Int16Array(samples))).toEqual([1, 2, 3]);
+  });
+
+  test('should decode stereo WAV through Web Audio', async () => {
+    await decodeAudioToPCM(createWaveArrayBuffer(new Int16Array([1, 2, 3, 4]), { channels: 2 }));
+
+    expect(decodeAudioData).toHaveBeenCalledTimes(1);
+  });
+
+  test('should decode compressed audio through Web Audio into 16 kHz mono', async () => {
+    const { samples, ...format } = await decodeAudioToPCM(new Uint8Array([0xff, 0xfb, 0x90, 0x00]));
+
+    expect(decodeAudioData).toHaveBeenCalledWith(expect.any(ArrayBuffer), 16000);
+    expect(format).toEqual({ bitsPerSample: 16, channels: 1, samplesPerSecond: 16000 });
+    expect(Array.from(new Int16Array(samples))).toEqual([16383, -16383, 32767]);
+  });
+
+  test('should not pass the ArrayBuffer of the caller to Web Audio', async () => {
+    const arrayBuffer = new Uint8Array([0xff, 0xfb, 0x90, 0x00]).buffer;
+
+    await decodeAudioToPCM(arrayBuffer);
+
+    expect(decodeAudioData.mock.calls[0][0]).not.toBe(arrayBuffer);
+    expect(Array.from(new Uint8Array(decodeAudioData.mock.calls[0][0]))).toEqual([0xff, 0xfb, 0x90, 0x00]);
+  });
+
+  test('should throw if Web Audio is not supported', async () => {
+    global.window = {};
+
+    await expect(decodeAudioToPCM(new ArrayBuffer(4))).rejects.toThrow('does not support Web Audio API');
+  });
+
+  test('should throw on unsupported input', async () => {
+    await expect(decodeAudioToPCM('audio.wav')).rejects.toThrow(
+      'Audio must be an ArrayBuffer, typed array, Blob, or File.'
+    );
+  });
+});
@@ -0,0 +1,28 @@
+async function enumerateAudioInputDevices(mediaDevices) {
+  return (await mediaDevices.enumerateDevices())
+    .filter(({ kind }) => kind === 'audioinput')
+    .map(({ deviceId, groupId, label }) => ({ deviceId, groupId, label }));
+}
+
+// Lists microphones and other audio input devices, the "deviceId" can be used to select the device for recognition.
+// Browsers will only reveal device labels after microphone permission is granted.
+export default async function fetchAudioInputDevices({ requestPermission = true } = {}) {
+  const { mediaDevices } = window.navigator;
+
+  if (!mediaDevices || !mediaDevices.enumerateDevices) {
+    throw new Error('web-speech-cognitive-services: This browser does not support enumerating media devices.');
+  }
+
+  const devices = await enumerateAudioInputDevices(mediaDevices);
+
+  if (requestPermission && devices.some(({ label }) => !label)) {
+    const mediaStream = await mediaDevices.getUserMedia({ audio: true });
+
+    // We only need the permission, the microphone should be released immediately.
+    mediaStream.getTracks().forEach(track => track.stop());
+
+    return await enumerateAudioInputDevices(mediaDevices);
+  }
+
+  return devices;
+}
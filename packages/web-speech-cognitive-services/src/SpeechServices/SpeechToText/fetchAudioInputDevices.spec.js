@@ -0,0 +1,72 @@
+import fetchAudioInputDevices from './fetchAudioInputDevices';
+
+const DEVICES = [
+  { deviceId: 'default', groupId: 'GROUP_1', kind: 'audioinput', label: 'Default - Microphone' },
+  { deviceId: 'DEVICE_1', groupId: 'GROUP_1', kind: 'audiooutput', label: 'Speaker' },
+  { deviceId: 'DEVICE_2', groupId: 'GROUP_2', kind: 'audioinput', label: 'USB Microphone' },
+  { deviceId: 'DEVICE_3', groupId: 'GROUP_3', kind: 'videoinput', label: 'Webcam' }
+];
+
+let originalWindow;
+let permissionGranted;
+let stopTrack;
+
+beforeEach(() => {
+  originalWindow = global.window;
+  permissionGranted = false;
+  stopTrack = jest.fn();
+
+  global.window = {
+    navigator: {
+      mediaDevices: {
+        enumerateDevices: jest.fn(async () =>
+          permissionGranted ? DEVICES : DEVICES.map(device => ({ ...device, label: '' }))
+        ),
+        getUserMedia: jest.fn(async () => {
+          permissionGranted = true;
+
+          return { getTracks: () => [{ stop: stopTrack }] };
+        })
+      }
+    }
+  };
+});
+
+afterEach(() => {
+  global.window = originalWindow;
+});
+
+describe('fetchAudioInputDevices', () => {
+  test('should list audio input devices with labels', async () => {
+    await expect(fetchAudioInputDevices()).resolves.toEqual([
+      { deviceId: 'default', groupId: 'GROUP_1', label: 'Default - Microphone' },
+      { deviceId: 'DEVICE_2', groupId: 'GROUP_2', label: 'USB Microphone' }
+    ]);
+
+    expect(window.navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
+    expect(stopTrack).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not request permission if labels are already available', async () => {
+    permissionGranted = true;
+
+    await expect(fetchAudioInputDevices()).resolves.toHaveLength(2);
+
+    expect(window.navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  test('should not request permission if "requestPermission" is false', async () => {
+    await expect(fetchAudioInputDevices({ requestPermission: false })).resolves.toEqual([
+      { deviceId: 'default', groupId: 'GROUP_1', label: '' },
+      { deviceId: 'DEVICE_2', groupId: 'GROUP_2', label: '' }
+    ]);
+
+    expect(window.navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  test('should throw if media devices are not supported', async () => {
+    global.window = { navigator: {} };
+
+    await expect(fetchAudioInputDevices()).rejects.toThrow('does not support enumerating media devices');
+  });
+});
@@ -0,0 +1,276 @@
+// Parses a grammar written in JSpeech Grammar Format (JSGF) and expands its public rules into a list of phrases.
+// https://www.w3.org/TR/jsgf/
+
+// Speech Services does not support grammars natively, it only supports a list of phrases to bias towards.
+// Optional, alternative, and repeat groups are expanded into every combination they would match.
+// Since repeat groups and large alternatives can produce an unbounded number of phrases, the expansion is capped.
+
+const DEFAULT_MAX_EXPANSIONS = 1000;
+const DEFAULT_MAX_REPEATS = 2;
+
+const HEADER_PATTERN = /^\s*#JSGF[^;]*;/u;
+const TOKEN_PATTERN =
+  /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|<[^<>\s]+>|"(?:[^"\\]|\\.)*"|\/\s*\d*\.?\d+\s*\/|\{(?:[^{}\\]|\\.)*\}|[=;|()[\]*+]|[^\s=;|()[\]*+<>"/{}]+/uy;
+
+function tokenize(text) {
+  const tokens = [];
+
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const index = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+
+    if (!match) {
+      throw new Error(`Failed to parse JSGF: unexpected character "${text[index]}" at position ${index}.`);
+    }
+
+    const [token] = match;
+
+    if (!/^(?:\s|\/\/|\/\*)/u.test(token)) {
+      tokens.push(token);
+    }
+  }
+
+  return tokens;
+}
+
+function isRuleName(token) {
+  return typeof token === 'string' && token[0] === '<';
+}
+
+function isTag(token) {
+  return typeof token === 'string' && token[0] === '{';
+}
+
+function isWeight(token) {
+  return typeof token === 'string' && token[0] === '/';
+}
+
+function isWord(token) {
+  return typeof token === 'string' && !/^[<{/=;|()[\]*+]/u.test(token);
+}
+
+function parse(tokens) {
+  const rules = {};
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const consume = () => tokens[position++];
+  const expect = expected => {
+    const token = consume();
+
+    if (token !== expected) {
+      throw new Error(`Failed to parse JSGF: expected "${expected}" but found "${token || 'end of grammar'}".`);
+    }
+  };
+
+  const parseAlternatives = () => {
+    const items = [];
+
+    do {
+      // Weights of alternatives are not supported by Speech Services and will be ignored.
+      isWeight(peek()) && consume();
+
+      items.push(parseSequence());
+    } while (peek() === '|' && consume());
+
+    return items.length === 1 ? items[0] : { items, type: 'alternatives' };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+
+    while (position < tokens.length && !['|', ')', ']', ';'].includes(peek())) {
+      items.push(parseUnit());
+    }
+
+    return { items, type: 'sequence' };
+  };
+
+  const parseUnit = () => {
+    let unit = parsePrimary();
+
+    for (;;) {
+      const token = peek();
+
+      if (token === '*' || token === '+') {
+        consume();
+
+        unit = { item: unit, min: token === '*' ? 0 : 1, type: 'repeat' };
+      } else if (isTag(token)) {
+        // Tags are used for semantic interpretation, they do not affect what could be spoken.
+        consume();
+      } else {
+        return unit;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = consume();
+
+    if (token === '(') {
+      const item = parseAlternatives();
+
+      expect(')');
+
+      return item;
+    } else if (token === '[') {
+      const item = parseAlternatives();
+
+      expect(']');
+
+      return { item, type: 'optional' };
+    } else if (isRuleName(token)) {
+      return { name: token.slice(1, -1), type: 'ruleref' };
+    } else if (token && token[0] === '"') {
+      return { type: 'token', value: token.slice(1, -1).replace(/\\(.)/gu, '$1') };
+    } else if (isWord(token)) {
+      return { type: 'token', value: token };
+    }
+
+    throw new Error(`Failed to parse JSGF: unexpected "${token || 'end of grammar'}".`);
+  };
+
+  while (position < tokens.length) {
+    const token = consume();
+
+    if (token === 'grammar') {
+      consume();
+      expect(';');
+    } else if (token === 'import') {
+      throw new Error('Failed to parse JSGF: importing rules from other grammars is not supported.');
+    } else {
+      const isPublic = token === 'public';
+      const ruleName = isPublic ? consume() : token;
+
+      if (!isRuleName(ruleName)) {
+        throw new Error(`Failed to parse JSGF: expected rule name but found "${ruleName || 'end of grammar'}".`);
+      }
+
+      expect('=');
+
+      rules[ruleName.slice(1, -1)] = { expansion: parseAlternatives(), isPublic };
+
+      expect(';');
+    }
+  }
+
+  return rules;
+}
+
+// Sequences are kept in order. When capped, every left is paired with a different right in turns,
+// so every word on both sides will show up early, instead of the first few on the left taking all the phrases.
+function product(left, right, maxExpansions) {
+  if (left.length * right.length <= maxExpansions) {
+    return left.flatMap(leftWords => right.map(rightWords => [...leftWords, ...rightWords]));
+  }
+
+  const result = [];
+
+  for (let turn = 0; turn < right.length && result.length < maxExpansions; turn++) {
+    left.forEach(
+      (leftWords, index) =>
+        result.length < maxExpansions && result.push([...leftWords, ...right[(index + turn) % right.length]])
+    );
+  }
+
+  return result;
+}
+
+// Alternatives are kept in order. When capped, they are taken in turns, so a large alternative will not crowd out the others.
+function union(expansions, maxExpansions) {
+  const flattened = expansions.flat();
+
+  if (flattened.length <= maxExpansions) {
+    return flattened;
+  }
+
+  const result = [];
+
+  for (let index = 0; result.length < maxExpansions; index++) {
+    expansions.forEach(expansion => index < expansion.length && result.push(expansion[index]));
+  }
+
+  return result.slice(0, maxExpansions);
+}
+
+function expand(rules, { maxExpansions, maxRepeats }) {
+  const expandedRules = {};
+  const expanding = [];
+
+  const expandRule = name => {
+    if (name === 'NULL') {
+      return [[]];
+    } else if (name === 'VOID') {
+      return [];
+    }
+
+    // Fully-qualified rule names (e.g. <grammar.rule>) are resolved against the local grammar.
+    const localName = rules[name] ? name : name.split('.').pop();
+    const rule = rules[localName];
+
+    if (!rule) {
+      throw new Error(`Failed to parse JSGF: rule <${name}> is not defined.`);
+    } else if (expanding.includes(localName)) {
+      throw new Error(`Failed to parse JSGF: recursive rule <${localName}> is not supported.`);
+    }
+
+    if (!expandedRules[localName]) {
+      expanding.push(localName);
+      expandedRules[localName] = expandNode(rule.expansion);
+      expanding.pop();
+    }
+
+    return expandedRules[localName];
+  };
+
+  const expandNode = node => {
+    switch (node.type) {
+      case 'alternatives':
+        return union(node.items.map(expandNode), maxExpansions);
+
+      case 'optional':
+        return [[], ...expandNode(node.item)].slice(0, maxExpansions);
+
+      case 'repeat': {
+        const item = expandNode(node.item);
+        const result = node.min ? [] : [[]];
+        let repeated = [[]];
+
+        for (let count = 1; count <= maxRepeats && result.length < maxExpansions; count++) {
+          repeated = product(repeated, item, maxExpansions);
+          result.push(...repeated);
+        }
+
+        return result.slice(0, maxExpansions);
+      }
+
+      case 'ruleref':
+        return expandRule(node.name);
+
+      case 'sequence':
+        return node.items.reduce((result, item) => product(result, expandNode(item), maxExpansions), [[]]);
+
+      default:
+        return [[node.value]];
+    }
+  };
+
+  return Object.keys(rules)
+    .filter(name => rules[name].isPublic)
+    .flatMap(expandRule);
+}
+
+export default function parseJSGF(
+  text,
+  { maxExpansions = DEFAULT_MAX_EXPANSIONS, maxRepeats = DEFAULT_MAX_REPEATS } = {}
+) {
+  const rules = parse(tokenize(text.replace(HEADER_PATTERN, '')));
+  const phrases = expand(rules, { maxExpansions, maxRepeats })
+    .map(words => words.join(' ').replace(/\s+/gu, ' ').trim())
+    .filter(phrase => phrase);
+
+  return [...new Set(phrases)].slice(0, maxExpansions);
+}
@@ -0,0 +1,104 @@
+import parseJSGF from './parseJSGF';
+
+test('expand alternatives', () => {
+  expect(
+    parseJSGF(`#JSGF V1.0;
+
+grammar colors;
+
+public <color> = red | green | blue;`)
+  ).toEqual(['red', 'green', 'blue']);
+});
+
+test('expand optional and grouping', () => {
+  expect(parseJSGF('#JSGF V1.0; grammar greetings; public <greet> = [please] (say | shout) hello;')).toEqual([
+    'say hello',
+    'shout hello',
+    'please say hello',
+    'please shout hello'
+  ]);
+});
+
+test('expand rule references', () => {
+  expect(
+    parseJSGF(`#JSGF V1.0;
+
+grammar transport;
+
+<city> = Bellevue | "Tuen Mun";
+public <command> = go to <city>;`)
+  ).toEqual(['go to Bellevue', 'go to Tuen Mun']);
+});
+
+test('expand repeat groups', () => {
+  expect(parseJSGF('#JSGF V1.0; public <digits> = (one | two)+;')).toEqual([
+    'one',
+    'two',
+    'one one',
+    'one two',
+    'two one',
+    'two two'
+  ]);
+
+  expect(parseJSGF('#JSGF V1.0; public <digits> = call one*;', { maxRepeats: 1 })).toEqual(['call', 'call one']);
+});
+
+test('cap expansions', () => {
+  expect(parseJSGF('#JSGF V1.0; public <digits> = (zero | one | two | three)*;', { maxExpansions: 5 })).toEqual([
+    'zero',
+    'one',
+    'two',
+    'three'
+  ]);
+});
+
+test('cap expansions should keep every alternative', () => {
+  expect(
+    parseJSGF(
+      `#JSGF V1.0;
+
+<digit> = zero | one | two | three;
+<name> = John | Mary;
+public <call> = call (<digit> <digit> | <name>);`,
+      { maxExpansions: 4 }
+    )
+  ).toEqual(['call zero zero', 'call John', 'call one one', 'call Mary']);
+});
+
+test('cap expansions should keep every word of sequences', () => {
+  expect(
+    parseJSGF(
+      `#JSGF V1.0;
+
+<b> = one | two | three;
+public <c> = <b> <b>;`,
+      { maxExpansions: 4 }
+    )
+  ).toEqual(['one one', 'two two', 'three three', 'one two']);
+});
+
+test('ignore comments, tags, and weights', () => {
+  expect(
+    parseJSGF(`#JSGF V1.0;
+
+// This is a comment.
+/* This is also a comment. */
+public <answer> = /10/ yes {YES} | /0.5/ no {NO};`)
+  ).toEqual(['yes', 'no']);
+});
+
+test('only expand public rules', () => {
+  expect(parseJSGF('#JSGF V1.0; <private> = secret; public <public> = open | <NULL>;')).toEqual(['open']);
+});
+
+test('throw on undefined rule', () => {
+  expect(() => parseJSGF('#JSGF V1.0; public <command> = go to <city>;')).toThrow('rule <city> is not defined');
+});
+
+test('throw on recursive rule', () => {
+  expect(() => parseJSGF('#JSGF V1.0; public <command> = go [<command>];')).toThrow('recursive rule');
+});
+
+test('throw on syntax error', () => {
+  expect(() => parseJSGF('#JSGF V1.0; public <command> = (go;')).toThrow('Failed to parse JSGF');
+});
@@ -0,0 +1,22 @@
+const MILLISECONDS_PER_SECOND = 1000;
+const REFRESH_BEFORE_EXPIRY = 60000;
+
+// Returns the "exp" claim of a JWT in milliseconds, or undefined if the token is not a JWT.
+function decodeExpiry(authorizationToken) {
+  try {
+    const [, payload] = authorizationToken.split('.');
+    const { exp } = JSON.parse(atob(payload.replace(/-/gu, '+').replace(/_/gu, '/')));
+
+    return typeof exp === 'number' ? exp * MILLISECONDS_PER_SECOND : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Returns the time, in milliseconds since epoch, when resolved credentials should be resolved again.
+// Tokens are refreshed a minute before they expire. Subscription keys, and tokens without "exp", have no known expiry and return undefined.
+export default function getCredentialsRefreshTime({ authorizationToken }) {
+  const expiry = authorizationToken && decodeExpiry(authorizationToken);
+
+  return expiry && expiry - REFRESH_BEFORE_EXPIRY;
+}
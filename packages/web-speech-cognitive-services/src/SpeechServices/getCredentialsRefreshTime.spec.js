@@ -0,0 +1,27 @@
+import getCredentialsRefreshTime from './getCredentialsRefreshTime';
+
+const NOW = 1600000000000;
+
+test('refresh JWT a minute before "exp"', () => {
+  const authorizationToken = `HEADER.${btoa(JSON.stringify({ exp: 1600000600 }))}.SIGNATURE`;
+
+  expect(getCredentialsRefreshTime({ authorizationToken })).toBe(NOW + 540000);
+});
+
+test('refresh JWT with URL-safe Base64 payload', () => {
+  // The payload contains "-" and "_" which are not part of standard Base64.
+  const payload = btoa(JSON.stringify({ exp: 1600000600, name: '??>>' }))
+    .replace(/\+/gu, '-')
+    .replace(/\//gu, '_')
+    .replace(/[=]/gu, '');
+
+  expect(getCredentialsRefreshTime({ authorizationToken: `HEADER.${payload}.SIGNATURE` })).toBe(NOW + 540000);
+});
+
+test('unknown refresh time for token without "exp"', () => {
+  expect(getCredentialsRefreshTime({ authorizationToken: 'AUTHORIZATION_TOKEN' })).toBeUndefined();
+});
+
+test('unknown refresh time for subscription key', () => {
+  expect(getCredentialsRefreshTime({ subscriptionKey: 'SUBSCRIPTION_KEY' })).toBeUndefined();
+});
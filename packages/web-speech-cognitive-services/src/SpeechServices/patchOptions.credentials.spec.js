@@ -224,3 +224,73 @@ test('using custom hostname with Custom Voice', async () => {
     speechSynthesisHostname: 'westus2.stt.speech.microsoft.com'
   });
 });
+
+describe('caching resolved credentials', () => {
+  const createToken = exp => `HEADER.${btoa(JSON.stringify({ exp }))}.SIGNATURE`;
+
+  let now;
+
+  beforeEach(() => {
+    now = 1600000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should cache token until a minute before expiry', async () => {
+    const credentials = jest.fn(() => ({ authorizationToken: createToken(now / 1000 + 300), region: 'westus' }));
+    const { fetchCredentials } = patchOptions({ credentials });
+
+    await fetchCredentials();
+    now += 239000;
+    await fetchCredentials();
+
+    expect(credentials).toHaveBeenCalledTimes(1);
+
+    now += 1000;
+    await fetchCredentials();
+
+    expect(credentials).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not cache token without "exp"', async () => {
+    const credentials = jest.fn(() => ({ authorizationToken: 'AUTHORIZATION_TOKEN', region: 'westus' }));
+    const { fetchCredentials } = patchOptions({ credentials });
+
+    await fetchCredentials();
+    await fetchCredentials();
+
+    expect(credentials).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not cache subscription key', async () => {
+    const credentials = jest.fn(() => ({ region: 'westus', subscriptionKey: 'SUBSCRIPTION_KEY' }));
+    const { fetchCredentials } = patchOptions({ credentials });
+
+    await fetchCredentials();
+    await fetchCredentials();
+
+    expect(credentials).toHaveBeenCalledTimes(2);
+  });
+
+  test('should share pending resolution', async () => {
+    const credentials = jest.fn(async () => ({ authorizationToken: 'AUTHORIZATION_TOKEN', region: 'westus' }));
+    const { fetchCredentials } = patchOptions({ credentials });
+
+    await Promise.all([fetchCredentials(), fetchCredentials()]);
+
+    expect(credentials).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not cache failure', async () => {
+    const credentials = jest.fn().mockRejectedValueOnce(new Error('Token endpoint is down.'));
+    const { fetchCredentials } = patchOptions({ credentials });
+
+    credentials.mockResolvedValueOnce({ authorizationToken: 'AUTHORIZATION_TOKEN', region: 'westus' });
+
+    await expect(fetchCredentials()).rejects.toThrow('Token endpoint is down.');
+    await expect(fetchCredentials()).resolves.toEqual({ authorizationToken: 'AUTHORIZATION_TOKEN', region: 'westus' });
+  });
+});
@@ -1,3 +1,4 @@
+import getCredentialsRefreshTime from './getCredentialsRefreshTime';
 import resolveFunctionOrReturnValue from './resolveFunctionOrReturnValue';
 
 let shouldWarnOnSubscriptionKey = true;
@@ -32,57 +33,89 @@ export default function patchOptions({
     }
   }
 
-  return {
-    ...otherOptions,
-    fetchCredentials: async () => {
-      const {
-        authorizationToken,
-        customVoiceHostname,
-        region,
-        speechRecognitionHostname,
-        speechSynthesisHostname,
-        subscriptionKey
-      } = await resolveFunctionOrReturnValue(credentials);
-
-      if ((!authorizationToken && !subscriptionKey) || (authorizationToken && subscriptionKey)) {
-        throw new Error(
-          'web-speech-cognitive-services: Either "authorizationToken" or "subscriptionKey" must be provided.'
-        );
-      } else if (!region && !(speechRecognitionHostname && speechSynthesisHostname)) {
-        throw new Error(
-          'web-speech-cognitive-services: Either "region" or "speechRecognitionHostname" and "speechSynthesisHostname" must be set.'
-        );
-      } else if (region && (customVoiceHostname || speechRecognitionHostname || speechSynthesisHostname)) {
-        throw new Error(
-          'web-speech-cognitive-services: Only either "region" or "customVoiceHostname", "speechRecognitionHostname" and "speechSynthesisHostname" can be set.'
-        );
-      } else if (authorizationToken) {
-        if (typeof authorizationToken !== 'string') {
-          throw new Error('web-speech-cognitive-services: "authorizationToken" must be a string.');
-        }
-      } else if (typeof subscriptionKey !== 'string') {
-        throw new Error('web-speech-cognitive-services: "subscriptionKey" must be a string.');
+  const resolveCredentials = async () => {
+    const {
+      authorizationToken,
+      customVoiceHostname,
+      region,
+      speechRecognitionHostname,
+      speechSynthesisHostname,
+      subscriptionKey
+    } = await resolveFunctionOrReturnValue(credentials);
+
+    if ((!authorizationToken && !subscriptionKey) || (authorizationToken && subscriptionKey)) {
+      throw new Error(
+        'web-speech-cognitive-services: Either "authorizationToken" or "subscriptionKey" must be provided.'
+      );
+    } else if (!region && !(speechRecognitionHostname && speechSynthesisHostname)) {
+      throw new Error(
+        'web-speech-cognitive-services: Either "region" or "speechRecognitionHostname" and "speechSynthesisHostname" must be set.'
+      );
+    } else if (region && (customVoiceHostname || speechRecognitionHostname || speechSynthesisHostname)) {
+      throw new Error(
+        'web-speech-cognitive-services: Only either "region" or "customVoiceHostname", "speechRecognitionHostname" and "speechSynthesisHostname" can be set.'
+      );
+    } else if (authorizationToken) {
+      if (typeof authorizationToken !== 'string') {
+        throw new Error('web-speech-cognitive-services: "authorizationToken" must be a string.');
       }
+    } else if (typeof subscriptionKey !== 'string') {
+      throw new Error('web-speech-cognitive-services: "subscriptionKey" must be a string.');
+    }
 
-      if (shouldWarnOnSubscriptionKey && subscriptionKey) {
-        console.warn(
-          'web-speech-cognitive-services: In production environment, subscription key should not be used, authorization token should be used instead.'
-        );
+    if (shouldWarnOnSubscriptionKey && subscriptionKey) {
+      console.warn(
+        'web-speech-cognitive-services: In production environment, subscription key should not be used, authorization token should be used instead.'
+      );
 
-        shouldWarnOnSubscriptionKey = false;
-      }
+      shouldWarnOnSubscriptionKey = false;
+    }
+
+    const resolvedCredentials = authorizationToken ? { authorizationToken } : { subscriptionKey };
+
+    if (region) {
+      resolvedCredentials.region = region;
+    } else {
+      resolvedCredentials.customVoiceHostname = customVoiceHostname;
+      resolvedCredentials.speechRecognitionHostname = speechRecognitionHostname;
+      resolvedCredentials.speechSynthesisHostname = speechSynthesisHostname;
+    }
+
+    return resolvedCredentials;
+  };
 
-      const resolvedCredentials = authorizationToken ? { authorizationToken } : { subscriptionKey };
+  let cachedCredentials;
 
-      if (region) {
-        resolvedCredentials.region = region;
-      } else {
-        resolvedCredentials.customVoiceHostname = customVoiceHostname;
-        resolvedCredentials.speechRecognitionHostname = speechRecognitionHostname;
-        resolvedCredentials.speechSynthesisHostname = speechSynthesisHostname;
+  return {
+    ...otherOptions,
+
+    // Resolved credentials are cached until they are about to expire, so the credentials function is not called on every request.
+    // Without a known expiry, say, subscription keys and tokens which are not JWT, credentials are not cached.
+    fetchCredentials: () => {
+      if (!cachedCredentials || Date.now() >= cachedCredentials.refreshTime) {
+        // Concurrent calls will share the same pending resolution.
+        const entry = (cachedCredentials = { promise: resolveCredentials(), refreshTime: Infinity });
+
+        entry.promise.then(
+          credentials => {
+            const refreshTime = getCredentialsRefreshTime(credentials);
+
+            if (refreshTime) {
+              entry.refreshTime = refreshTime;
+            } else if (cachedCredentials === entry) {
+              cachedCredentials = undefined;
+            }
+          },
+          () => {
+            // Failures are not cached, the next call will try again.
+            if (cachedCredentials === entry) {
+              cachedCredentials = undefined;
+            }
+          }
+        );
       }
 
-      return resolvedCredentials;
+      return cachedCredentials.promise;
     },
     looseEvents
   };
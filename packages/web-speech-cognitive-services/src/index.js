@@ -1,14 +1,26 @@
 import createSpeechServicesPonyfill, {
+  createAdaptiveVoiceActivityDetector,
+  createConversationTranscriptionPonyfill,
+  createPatternMatchingInterpreter,
+  createPushAudioSource,
   createSpeechRecognitionPonyfill,
   createSpeechRecognitionPonyfillFromRecognizer,
   createSpeechSynthesisPonyfill,
+  createSpeechTranslationPonyfill,
+  fetchAudioInputDevices,
   fetchAuthorizationToken
 } from './SpeechServices';
 
 export {
+  createAdaptiveVoiceActivityDetector,
+  createConversationTranscriptionPonyfill,
+  createPatternMatchingInterpreter,
+  createPushAudioSource,
   createSpeechRecognitionPonyfill,
   createSpeechRecognitionPonyfillFromRecognizer,
   createSpeechServicesPonyfill,
   createSpeechSynthesisPonyfill,
+  createSpeechTranslationPonyfill,
+  fetchAudioInputDevices,
   fetchAuthorizationToken
 };